@@ -19,31 +19,56 @@ const {
 const { 
     getGuildConfig, 
     setGuildConfig, 
-    updateGuildConfig 
+    updateGuildConfig,
+    getTicketByChannel,
+    getTicketsForStats,
+    getWebhookDeliveries
 } = require('./db_config.js'); // FIXED: Changed from './index.js' to './db_config.js'
+const { TRANSCRIPT_FORMATS } = require('./transcript_formats.js');
+const {
+    REQUIRED_CATEGORY_PERMISSIONS,
+    MAX_CHANNELS_PER_CATEGORY,
+    countCategoryChannels,
+    validateConfigUpdate,
+    validateTopic,
+    validateThreadChannel
+} = require('./validation.js');
+const { generateApiKey, hashApiKey } = require('./rest_api.js');
+const { TICKET_EVENTS } = require('./events.js');
+const { generateWebhookSecret, validateWebhookUrl, sendTestDelivery } = require('./webhooks.js');
 
 
 // --- Utility Function to Check Config Status ---
 /**
- * Checks if the essential configuration (category and support role) is set.
+ * Checks if the essential configuration (category or thread channel, and support role) is set.
  * @param {object} config The guild configuration object.
  * @returns {boolean} True if configured, false otherwise.
  */
 function isConfigured(config) {
-    return config.categoryId && config.supportRoleId;
+    const ticketLocation = config.ticketMode === 'thread' ? config.threadChannelId : config.categoryId;
+    return ticketLocation && config.supportRoleId;
 }
 
-// --- Permissions Definitions ---
-const REQUIRED_LOGS_PERMISSIONS = [
-    PermissionsBitField.Flags.ViewChannel,
-    PermissionsBitField.Flags.SendMessages,
-    PermissionsBitField.Flags.AttachFiles
+// Ticket priority levels offered by /ticket-priority and topic defaults
+const PRIORITY_CHOICES = [
+    { name: '🟢 Low', value: 'low' },
+    { name: '🔵 Normal', value: 'normal' },
+    { name: '🟠 High', value: 'high' },
+    { name: '🔴 Urgent', value: 'urgent' },
 ];
-const REQUIRED_CATEGORY_PERMISSIONS = [
-    PermissionsBitField.Flags.ViewChannel,
-    PermissionsBitField.Flags.ManageChannels, // Required to set permissions for new channels
+
+// Transcript formats offered by /ticket-config and /ticket-transcript
+const TRANSCRIPT_FORMAT_CHOICES = Object.entries(TRANSCRIPT_FORMATS).map(([value, format]) => ({ name: format.label, value }));
+
+// Where new tickets are opened (guild default, or per-panel override)
+const TICKET_MODE_CHOICES = [
+    { name: 'Channels', value: 'channel' },
+    { name: 'Private threads', value: 'thread' },
 ];
 
+// Discord allows at most 5 inputs in a modal
+const MAX_FORM_QUESTIONS = 5;
+
 // --- 1. /ticket-config (STAFF) ---
 const ticketConfigCommand = {
     data: new SlashCommandBuilder()
@@ -55,15 +80,114 @@ const ticketConfigCommand = {
                 .setDescription('The category where new ticket channels will be created.')
                 .addChannelTypes(ChannelType.GuildCategory)
                 .setRequired(false))
+        .addChannelOption(option =>
+            option.setName('add-overflow-category')
+                .setDescription('A category used once the ticket category is full (50 channels).')
+                .addChannelTypes(ChannelType.GuildCategory)
+                .setRequired(false))
+        .addChannelOption(option =>
+            option.setName('remove-overflow-category')
+                .setDescription('Stop using this overflow category (its tickets stay where they are).')
+                .addChannelTypes(ChannelType.GuildCategory)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('auto-create-overflow')
+                .setDescription('Create numbered overflow categories when every ticket category is full.')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('ticket-mode')
+                .setDescription('Open tickets as channels (default) or as private threads in the thread channel.')
+                .setRequired(false)
+                .addChoices(...TICKET_MODE_CHOICES))
+        .addChannelOption(option =>
+            option.setName('thread-channel')
+                .setDescription('The text channel ticket threads are created in (thread mode).')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false))
         .addChannelOption(option =>
             option.setName('logs-channel')
                 .setDescription('The text channel where transcripts and logs will be sent.')
                 .addChannelTypes(ChannelType.GuildText)
                 .setRequired(false))
+        .addChannelOption(option =>
+            option.setName('feedback-channel')
+                .setDescription('The text channel where satisfaction ratings are posted.')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false))
         .addRoleOption(option =>
             option.setName('support-role')
                 .setDescription('The role that will be pinged and given access to tickets.')
                 .setRequired(false))
+        .addRoleOption(option =>
+            option.setName('escalation-role')
+                .setDescription('Optional role pinged when a ticket is marked urgent.')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('exclusive-claim')
+                .setDescription('When a ticket is claimed, other staff can read it but only the claimer can reply.')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('close-mode')
+                .setDescription('What happens to a ticket channel when it is closed.')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Delete the channel', value: 'delete' },
+                    { name: 'Archive the channel (read-only)', value: 'archive' }
+                ))
+        .addChannelOption(option =>
+            option.setName('archive-category')
+                .setDescription('The category closed tickets are moved to in archive mode.')
+                .addChannelTypes(ChannelType.GuildCategory)
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('transcript-format')
+                .setDescription('The transcript format created when a ticket is closed (default: HTML).')
+                .setRequired(false)
+                .addChoices(...TRANSCRIPT_FORMAT_CHOICES))
+        .addIntegerOption(option =>
+            option.setName('reminder-hours')
+                .setDescription('Remind the user after this many idle hours (0 disables reminders).')
+                .setMinValue(0)
+                .setMaxValue(720)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('auto-close-hours')
+                .setDescription('Auto-close this many hours after the reminder (0 disables auto-close).')
+                .setMinValue(0)
+                .setMaxValue(720)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('max-per-user')
+                .setDescription('Maximum open tickets per user (0 = unlimited, default 1).')
+                .setMinValue(0)
+                .setMaxValue(50)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('max-per-topic')
+                .setDescription('Maximum open tickets per user for the same topic (0 = unlimited).')
+                .setMinValue(0)
+                .setMaxValue(50)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('max-open')
+                .setDescription('Maximum open tickets in the whole server (0 = unlimited).')
+                .setMinValue(0)
+                .setMaxValue(1000)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('cooldown-minutes')
+                .setDescription('Minutes a user must wait between opening tickets (0 = no cooldown).')
+                .setMinValue(0)
+                .setMaxValue(10080)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('modmail')
+                .setDescription('Let members open tickets by sending the bot a direct message.')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('modmail-anonymous')
+                .setDescription('Relay staff replies under the server name instead of the staff member\'s (default on).')
+                .setRequired(false))
         .addStringOption(option => 
             option.setName('action')
                 .setDescription('Select an action (e.g., view current settings).')
@@ -78,8 +202,27 @@ const ticketConfigCommand = {
         const guild = interaction.guild;
         const action = interaction.options.getString('action');
         const category = interaction.options.getChannel('category');
+        const addOverflowCategory = interaction.options.getChannel('add-overflow-category');
+        const removeOverflowCategory = interaction.options.getChannel('remove-overflow-category');
+        const autoCreateOverflow = interaction.options.getBoolean('auto-create-overflow');
+        const ticketMode = interaction.options.getString('ticket-mode');
+        const threadChannel = interaction.options.getChannel('thread-channel');
         const logsChannel = interaction.options.getChannel('logs-channel');
+        const feedbackChannel = interaction.options.getChannel('feedback-channel');
         const supportRole = interaction.options.getRole('support-role');
+        const escalationRole = interaction.options.getRole('escalation-role');
+        const exclusiveClaim = interaction.options.getBoolean('exclusive-claim');
+        const closeMode = interaction.options.getString('close-mode');
+        const archiveCategory = interaction.options.getChannel('archive-category');
+        const transcriptFormat = interaction.options.getString('transcript-format');
+        const reminderHours = interaction.options.getInteger('reminder-hours');
+        const autoCloseHours = interaction.options.getInteger('auto-close-hours');
+        const maxPerUser = interaction.options.getInteger('max-per-user');
+        const maxPerTopic = interaction.options.getInteger('max-per-topic');
+        const maxOpen = interaction.options.getInteger('max-open');
+        const cooldownMinutes = interaction.options.getInteger('cooldown-minutes');
+        const modmail = interaction.options.getBoolean('modmail');
+        const modmailAnonymous = interaction.options.getBoolean('modmail-anonymous');
 
         let config = await getGuildConfig(guild.id);
         const update = {};
@@ -89,32 +232,102 @@ const ticketConfigCommand = {
         }
 
         if (action === 'reset') {
-            await setGuildConfig(guild.id, { guildId: guild.id, ticketTopics: [] });
+            // API keys, webhooks and snippets are managed by their own commands and survive a reset
+            await setGuildConfig(guild.id, {
+                guildId: guild.id,
+                ticketTopics: [],
+                apiKeys: config.apiKeys,
+                webhooks: config.webhooks,
+                snippets: config.snippets,
+            });
             return interaction.editReply({ 
-                content: '✅ All ticketing configuration (category, logs, role, topics) has been reset to default values.',
+                content: '✅ All ticketing configuration (category, logs, role, close mode, topics, panels) has been reset to default values. API keys, webhooks and snippets were kept; manage them with `/ticket-apikey`, `/ticket-webhook` and `/ticket-snippet`.',
                 embeds: [createConfigViewEmbed({ guildId: guild.id, ticketTopics: [] }, guild)] 
             });
         }
         
         // --- Apply Updates ---
         if (category) {
-            if (!guild.members.me.permissionsIn(category).has(REQUIRED_CATEGORY_PERMISSIONS)) {
-                return interaction.editReply(`❌ Bot requires the following permissions in the **${category.name}** category: \`${REQUIRED_CATEGORY_PERMISSIONS.join(', ')}\`.`);
-            }
             update.categoryId = category.id;
         }
 
-        if (logsChannel) {
-            if (!guild.members.me.permissionsIn(logsChannel).has(REQUIRED_LOGS_PERMISSIONS)) {
-                 return interaction.editReply(`❌ Bot requires the following permissions in the **${logsChannel.name}** channel: \`${REQUIRED_LOGS_PERMISSIONS.join(', ')}\`.`);
+        // Overflow categories are filled in the order they were added (deleted ones are dropped)
+        if (addOverflowCategory || removeOverflowCategory) {
+            let overflowCategoryIds = config.overflowCategoryIds.filter(id => id !== removeOverflowCategory?.id && guild.channels.cache.has(id));
+            if (addOverflowCategory && !overflowCategoryIds.includes(addOverflowCategory.id)) {
+                overflowCategoryIds = [...overflowCategoryIds, addOverflowCategory.id];
             }
+            update.overflowCategoryIds = overflowCategoryIds;
+        }
+
+        if (autoCreateOverflow !== null) {
+            update.autoCreateOverflow = autoCreateOverflow;
+        }
+
+        if (ticketMode) {
+            update.ticketMode = ticketMode;
+        }
+
+        if (threadChannel) {
+            update.threadChannelId = threadChannel.id;
+        }
+
+        if (logsChannel) {
             update.logsChannelId = logsChannel.id;
         }
 
+        if (feedbackChannel) {
+            update.feedbackChannelId = feedbackChannel.id;
+        }
+
         if (supportRole) {
             update.supportRoleId = supportRole.id;
         }
 
+        if (escalationRole) {
+            update.escalationRoleId = escalationRole.id;
+        }
+
+        if (exclusiveClaim !== null) {
+            update.exclusiveClaim = exclusiveClaim;
+        }
+
+        if (archiveCategory) {
+            update.archiveCategoryId = archiveCategory.id;
+        }
+
+        if (closeMode) {
+            update.closeMode = closeMode;
+        }
+
+        if (transcriptFormat) {
+            update.transcriptFormat = transcriptFormat;
+        }
+
+        // 0 disables the corresponding inactivity step
+        if (reminderHours !== null) {
+            update.inactivityReminderHours = reminderHours || null;
+        }
+
+        if (autoCloseHours !== null) {
+            update.inactivityCloseHours = autoCloseHours || null;
+        }
+
+        // Limits: 0 means unlimited
+        if (maxPerUser !== null) update.maxOpenTicketsPerUser = maxPerUser;
+        if (maxPerTopic !== null) update.maxOpenTicketsPerTopic = maxPerTopic;
+        if (maxOpen !== null) update.maxOpenTickets = maxOpen;
+        if (cooldownMinutes !== null) update.ticketCooldownMinutes = cooldownMinutes;
+
+        if (modmail !== null) update.modmailEnabled = modmail;
+        if (modmailAnonymous !== null) update.modmailAnonymous = modmailAnonymous;
+
+        // Shared with the dashboard API (channel types, bot permissions, archive mode requirements)
+        const error = validateConfigUpdate(guild, config, update);
+        if (error) {
+            return interaction.editReply(error);
+        }
+
         if (Object.keys(update).length > 0) {
             await updateGuildConfig(guild.id, update);
             // Re-fetch the config to show the updated state
@@ -130,6 +343,29 @@ const ticketConfigCommand = {
     }
 };
 
+/**
+ * Formats an open-ticket limit for display.
+ * @param {number} [limit] The limit (0 or missing = unlimited).
+ * @returns {string} The formatted limit.
+ */
+function formatLimit(limit) {
+    return limit ? String(limit) : 'Unlimited';
+}
+
+/**
+ * Formats a category with its channel count (e.g., "#tickets — 12/50").
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} categoryId The ID of the category.
+ * @returns {string} The formatted category.
+ */
+function formatCategoryUsage(guild, categoryId) {
+    if (!guild.channels.cache.has(categoryId)) {
+        return `\`${categoryId}\` (deleted)`;
+    }
+    const count = countCategoryChannels(guild, categoryId);
+    return `<#${categoryId}> — \`${count}/${MAX_CHANNELS_PER_CATEGORY}\`${count >= MAX_CHANNELS_PER_CATEGORY ? ' ⚠️ Full' : ''}`;
+}
+
 /**
  * Creates an embed showing the current guild configuration.
  * @param {object} config The guild configuration object.
@@ -139,7 +375,7 @@ const ticketConfigCommand = {
 function createConfigViewEmbed(config, guild) {
     const isReady = isConfigured(config) && config.ticketTopics.length > 0;
     const topicsList = config.ticketTopics.map((t, i) => 
-        `\`${i + 1}.\` ${t.emoji || '📄'} **${t.label}** (\`${t.value}\`)`
+        `\`${i + 1}.\` ${t.emoji || '📄'} **${t.label}** (\`${t.value}\`)${t.categoryId ? ` → <#${t.categoryId}>` : ''}`
     ).join('\n') || '*No topics configured. Use `/ticket-topic add`.*';
 
     const embed = new EmbedBuilder()
@@ -147,12 +383,27 @@ function createConfigViewEmbed(config, guild) {
         .setTitle('🎫 Ticketing System Configuration')
         .setDescription(isReady 
             ? '✅ The system is configured and ready to use!' 
-            : '⚠️ Essential setup incomplete. Please set a Category, Support Role, and add at least one Topic.'
+            : '⚠️ Essential setup incomplete. Please set a Category (or a Thread Channel in thread mode), Support Role, and add at least one Topic.'
         )
         .addFields(
             { 
                 name: 'Ticket Category', 
-                value: config.categoryId ? `<#${config.categoryId}> (\`${config.categoryId}\`)` : '`Not Set`', 
+                value: config.categoryId ? formatCategoryUsage(guild, config.categoryId) : '`Not Set`', 
+                inline: true 
+            },
+            { 
+                name: 'Overflow Categories', 
+                value: [
+                    ...(config.overflowCategoryIds || []).map(id => formatCategoryUsage(guild, id)),
+                    `Auto-create: ${config.autoCreateOverflow ? '`On`' : '`Off`'}`,
+                ].join('\n'), 
+                inline: true 
+            },
+            { 
+                name: 'Ticket Mode', 
+                value: config.ticketMode === 'thread'
+                    ? `\`Threads\` in ${config.threadChannelId ? `<#${config.threadChannelId}>` : '`Not Set`'}`
+                    : '`Channels`', 
                 inline: true 
             },
             { 
@@ -165,6 +416,62 @@ function createConfigViewEmbed(config, guild) {
                 value: config.logsChannelId ? `<#${config.logsChannelId}> (\`${config.logsChannelId}\`)` : '`Not Set`', 
                 inline: true 
             },
+            { 
+                name: 'Feedback Channel', 
+                value: config.feedbackChannelId ? `<#${config.feedbackChannelId}> (\`${config.feedbackChannelId}\`)` : '`Not Set`', 
+                inline: true 
+            },
+            { 
+                name: 'Escalation Role', 
+                value: config.escalationRoleId ? `<@&${config.escalationRoleId}> (\`${config.escalationRoleId}\`)` : '`Not Set`', 
+                inline: true 
+            },
+            { 
+                name: 'Exclusive Claim', 
+                value: config.exclusiveClaim ? '`On`' : '`Off`', 
+                inline: true 
+            },
+            { 
+                name: 'Close Mode', 
+                value: config.closeMode === 'archive' ? '`Archive`' : '`Delete`', 
+                inline: true 
+            },
+            { 
+                name: 'Archive Category', 
+                value: config.archiveCategoryId ? `<#${config.archiveCategoryId}> (\`${config.archiveCategoryId}\`)` : '`Not Set`', 
+                inline: true 
+            },
+            { 
+                name: 'Transcript Format', 
+                value: `\`${(TRANSCRIPT_FORMATS[config.transcriptFormat] || TRANSCRIPT_FORMATS.html).label}\``, 
+                inline: true 
+            },
+            { 
+                name: 'Inactivity', 
+                value: `Reminder: ${config.inactivityReminderHours ? `\`${config.inactivityReminderHours}h\`` : '`Off`'} | Auto-close: ${config.inactivityCloseHours ? `\`${config.inactivityCloseHours}h\`` : '`Off`'}`, 
+                inline: true 
+            },
+            { 
+                name: 'Limits', 
+                value: [
+                    `Per user: \`${formatLimit(config.maxOpenTicketsPerUser ?? 1)}\``,
+                    `Per topic: \`${formatLimit(config.maxOpenTicketsPerTopic)}\``,
+                    `Server: \`${formatLimit(config.maxOpenTickets)}\``,
+                    `Cooldown: \`${config.ticketCooldownMinutes ? `${config.ticketCooldownMinutes}m` : 'Off'}\``,
+                ].join(' | '), 
+            },
+            { 
+                name: 'Modmail', 
+                value: config.modmailEnabled
+                    ? `\`On\` (${config.modmailAnonymous === false ? 'staff names shown' : 'anonymous replies'})`
+                    : '`Off`', 
+                inline: true 
+            },
+            { 
+                name: 'Panels', 
+                value: config.panels?.length ? config.panels.map(p => `\`${p.name}\``).join(', ') : '`None` (use `/ticket-panel create`)', 
+                inline: true 
+            },
             { 
                 name: `Configured Topics (${config.ticketTopics.length})`, 
                 value: topicsList, 
@@ -177,25 +484,137 @@ function createConfigViewEmbed(config, guild) {
 }
 
 // --- 2. /ticket-topic (STAFF) ---
+
+/**
+ * Parses a list of role mentions or IDs (e.g., "@Billing @Finance" or "123, 456").
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} input The raw option value.
+ * @returns {{roleIds: string[], invalid: string[]}} The valid role IDs and any IDs that are not roles in the guild.
+ */
+function parseRoleList(guild, input) {
+    const ids = [...new Set(input.match(/\d{17,20}/g) || [])];
+    return {
+        roleIds: ids.filter(id => guild.roles.cache.has(id)),
+        invalid: ids.filter(id => !guild.roles.cache.has(id)),
+    };
+}
+
+/**
+ * Adds the optional per-topic settings shared by the topic add and edit subcommands.
+ * @param {SlashCommandSubcommandBuilder} subcommand The subcommand builder.
+ * @returns {SlashCommandSubcommandBuilder} The subcommand builder.
+ */
+function addTopicSettingOptions(subcommand) {
+    return subcommand
+        .addStringOption(option => option.setName('emoji').setDescription('Optional: Emoji for the topic (character or custom ID).'))
+        .addChannelOption(option => option.setName('category').setDescription('Optional: Category for this topic\'s tickets (overrides the panel/guild default).').addChannelTypes(ChannelType.GuildCategory))
+        .addStringOption(option => option.setName('staff-roles').setDescription('Optional: Mention one or more staff roles granted access and pinged (overrides the default).'))
+        .addStringOption(option => option.setName('default-priority').setDescription('Optional: Priority given to new tickets of this topic.').addChoices(...PRIORITY_CHOICES))
+        .addStringOption(option => option.setName('name-template').setDescription('Optional: Channel name template, e.g. billing-{number}-{username}.').setMaxLength(90))
+        .addIntegerOption(option => option.setName('reminder-hours').setDescription('Optional: Idle hours before a reminder (overrides the guild default, 0 = off).').setMinValue(0).setMaxValue(720))
+        .addIntegerOption(option => option.setName('auto-close-hours').setDescription('Optional: Hours after the reminder before auto-close (overrides the guild default, 0 = off).').setMinValue(0).setMaxValue(720));
+}
+
+/**
+ * Applies the optional per-topic settings from the interaction to a topic object.
+ * @param {Interaction} interaction The slash command interaction.
+ * @param {object} topic The topic object to modify.
+ * @param {object[]} otherTopics The guild's other topics.
+ * @returns {string|null} An error message, or null if all settings were applied and the topic is valid.
+ */
+function applyTopicSettingOptions(interaction, topic, otherTopics) {
+    const guild = interaction.guild;
+    const emoji = interaction.options.getString('emoji');
+    const category = interaction.options.getChannel('category');
+    const staffRolesInput = interaction.options.getString('staff-roles');
+    const nameTemplate = interaction.options.getString('name-template');
+    const defaultPriority = interaction.options.getString('default-priority');
+    const reminderHours = interaction.options.getInteger('reminder-hours');
+    const autoCloseHours = interaction.options.getInteger('auto-close-hours');
+
+    if (emoji) topic.emoji = emoji;
+    if (defaultPriority) topic.defaultPriority = defaultPriority;
+    if (reminderHours !== null) topic.inactivityReminderHours = reminderHours;
+    if (autoCloseHours !== null) topic.inactivityCloseHours = autoCloseHours;
+
+    if (category) {
+        topic.categoryId = category.id;
+    }
+
+    if (staffRolesInput) {
+        const { roleIds, invalid } = parseRoleList(guild, staffRolesInput);
+        if (invalid.length > 0 || roleIds.length === 0) {
+            return '❌ Please mention at least one valid role in `staff-roles` (e.g., `@Billing @Finance`).';
+        }
+        topic.staffRoleIds = roleIds;
+    }
+
+    if (nameTemplate) {
+        topic.channelNameTemplate = nameTemplate;
+    }
+
+    // Shared with the dashboard API (limits, category permissions, name template)
+    return validateTopic(guild, topic, otherTopics);
+}
+
 const ticketTopicCommand = {
     data: new SlashCommandBuilder()
         .setName('ticket-topic')
         .setDescription('📋 [Staff] Manage ticket topics for the panel.')
         .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
         .addSubcommand(subcommand =>
-            subcommand.setName('add')
+            addTopicSettingOptions(subcommand.setName('add')
                 .setDescription('Adds a new topic to the ticket panel.')
                 .addStringOption(option => option.setName('label').setDescription('Display name for the topic (e.g., General Support)').setRequired(true))
                 .addStringOption(option => option.setName('value').setDescription('Unique ID/Value for the topic (e.g., general_support)').setRequired(true))
-                .addStringOption(option => option.setName('description').setDescription('Short description for the topic.').setRequired(true))
-                .addStringOption(option => option.setName('emoji').setDescription('Optional: Emoji for the topic (character or custom ID).')))
+                .addStringOption(option => option.setName('description').setDescription('Short description for the topic.').setRequired(true))))
+        .addSubcommand(subcommand =>
+            addTopicSettingOptions(subcommand.setName('edit')
+                .setDescription('Edits an existing topic using its unique value.')
+                .addStringOption(option => option.setName('value').setDescription('The unique ID/Value of the topic to edit.').setRequired(true))
+                .addStringOption(option => option.setName('label').setDescription('New display name for the topic.'))
+                .addStringOption(option => option.setName('description').setDescription('New short description for the topic.')))
+                .addBooleanOption(option => option.setName('clear-routing').setDescription('Remove the category, staff role and name template overrides.'))
+                .addBooleanOption(option => option.setName('clear-inactivity').setDescription('Remove the reminder and auto-close overrides (use the guild defaults again).')))
         .addSubcommand(subcommand =>
             subcommand.setName('remove')
                 .setDescription('Removes a topic using its unique value.')
                 .addStringOption(option => option.setName('value').setDescription('The unique ID/Value of the topic to remove.').setRequired(true)))
         .addSubcommand(subcommand =>
             subcommand.setName('list')
-                .setDescription('Lists all currently configured topics.')),
+                .setDescription('Lists all currently configured topics.'))
+        .addSubcommandGroup(group =>
+            group.setName('form')
+                .setDescription('Manage the intake form questions of a topic.')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription(`Adds a question to a topic's intake form (max ${MAX_FORM_QUESTIONS}).`)
+                        .addStringOption(option => option.setName('topic').setDescription('The unique ID/Value of the topic.').setRequired(true))
+                        .addStringOption(option => option.setName('label').setDescription('The question shown to the user.').setRequired(true).setMaxLength(45))
+                        .addStringOption(option =>
+                            option.setName('style')
+                                .setDescription('The answer field style.')
+                                .addChoices(
+                                    { name: 'Short (single line)', value: 'short' },
+                                    { name: 'Paragraph (multi-line)', value: 'paragraph' }
+                                ))
+                        .addBooleanOption(option => option.setName('required').setDescription('Whether an answer is required (default: true).'))
+                        .addIntegerOption(option => option.setName('min-length').setDescription('Minimum answer length.').setMinValue(0).setMaxValue(4000))
+                        .addIntegerOption(option => option.setName('max-length').setDescription('Maximum answer length.').setMinValue(1).setMaxValue(4000))
+                        .addStringOption(option => option.setName('placeholder').setDescription('Placeholder text for the answer field.').setMaxLength(100)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Removes a question from a topic\'s intake form.')
+                        .addStringOption(option => option.setName('topic').setDescription('The unique ID/Value of the topic.').setRequired(true))
+                        .addIntegerOption(option => option.setName('number').setDescription('The question number shown by /ticket-topic form list.').setRequired(true).setMinValue(1).setMaxValue(MAX_FORM_QUESTIONS)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Lists the intake form questions of a topic.')
+                        .addStringOption(option => option.setName('topic').setDescription('The unique ID/Value of the topic.').setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('clear')
+                        .setDescription('Removes all questions (the topic uses the default description field again).')
+                        .addStringOption(option => option.setName('topic').setDescription('The unique ID/Value of the topic.').setRequired(true)))),
     
     async execute(interaction) {
         await interaction.deferReply({ ephemeral: true });
@@ -203,6 +622,10 @@ const ticketTopicCommand = {
         let config = await getGuildConfig(guildId);
         const subcommand = interaction.options.getSubcommand();
 
+        if (interaction.options.getSubcommandGroup(false) === 'form') {
+            return handleTopicFormSubcommand(interaction, config, subcommand);
+        }
+
         if (subcommand === 'list') {
             return interaction.editReply({ embeds: [createConfigViewEmbed(config, interaction.guild)] });
         }
@@ -211,19 +634,51 @@ const ticketTopicCommand = {
             const label = interaction.options.getString('label');
             const value = interaction.options.getString('value').toLowerCase().replace(/[^a-z0-9_]+/g, ''); // Sanitize value
             const description = interaction.options.getString('description');
-            const emoji = interaction.options.getString('emoji');
 
-            if (config.ticketTopics.some(t => t.value === value)) {
-                return interaction.editReply(`❌ A topic with the unique value \`${value}\` already exists.`);
+            const newTopic = { label, value, description, emoji: null };
+            const error = applyTopicSettingOptions(interaction, newTopic, config.ticketTopics);
+            if (error) {
+                return interaction.editReply(error);
             }
 
-            const newTopic = { label, value, description, emoji };
             config.ticketTopics.push(newTopic);
 
             await setGuildConfig(guildId, config);
             return interaction.editReply(`✅ Topic **${label}** (\`${value}\`) has been added to the configuration.`);
         }
 
+        if (subcommand === 'edit') {
+            const value = interaction.options.getString('value');
+            const topic = config.ticketTopics.find(t => t.value === value);
+
+            if (!topic) {
+                return interaction.editReply(`❌ Topic with value \`${value}\` not found.`);
+            }
+
+            const label = interaction.options.getString('label');
+            const description = interaction.options.getString('description');
+            if (label) topic.label = label;
+            if (description) topic.description = description;
+
+            if (interaction.options.getBoolean('clear-routing')) {
+                topic.categoryId = null;
+                topic.staffRoleIds = [];
+                topic.channelNameTemplate = null;
+            }
+            if (interaction.options.getBoolean('clear-inactivity')) {
+                topic.inactivityReminderHours = null;
+                topic.inactivityCloseHours = null;
+            }
+
+            const error = applyTopicSettingOptions(interaction, topic, config.ticketTopics.filter(t => t !== topic));
+            if (error) {
+                return interaction.editReply(error);
+            }
+
+            await setGuildConfig(guildId, config);
+            return interaction.editReply(`✅ Topic **${topic.label}** (\`${value}\`) has been updated. Use \`/ticket-panel edit\` to refresh panels that show it.`);
+        }
+
         if (subcommand === 'remove') {
             const valueToRemove = interaction.options.getString('value');
             const initialLength = config.ticketTopics.length;
@@ -240,101 +695,457 @@ const ticketTopicCommand = {
     }
 };
 
+/**
+ * Handles the /ticket-topic form subcommands.
+ * @param {Interaction} interaction The slash command interaction (already deferred).
+ * @param {object} config The guild configuration object.
+ * @param {string} subcommand The form subcommand (add, remove, list or clear).
+ */
+async function handleTopicFormSubcommand(interaction, config, subcommand) {
+    const value = interaction.options.getString('topic');
+    const topic = config.ticketTopics.find(t => t.value === value);
+
+    if (!topic) {
+        return interaction.editReply(`❌ Topic with value \`${value}\` not found.`);
+    }
+    topic.formQuestions = topic.formQuestions || [];
+
+    if (subcommand === 'list') {
+        const questionsList = topic.formQuestions.map((q, i) =>
+            `\`${i + 1}.\` **${q.label}** (${q.style}, ${q.required ? 'required' : 'optional'}` +
+            `${q.minLength ? `, min ${q.minLength}` : ''}${q.maxLength ? `, max ${q.maxLength}` : ''})`
+        ).join('\n') || '*No questions configured. The default description field is used.*';
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498DB)
+            .setTitle(`📝 Intake Form: ${topic.label}`)
+            .setDescription(questionsList)
+            .setFooter({ text: `${topic.formQuestions.length}/${MAX_FORM_QUESTIONS} questions` });
+        return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (subcommand === 'add') {
+        if (topic.formQuestions.length >= MAX_FORM_QUESTIONS) {
+            return interaction.editReply(`❌ A topic can have at most ${MAX_FORM_QUESTIONS} questions (Discord modal limit).`);
+        }
+
+        const minLength = interaction.options.getInteger('min-length');
+        const maxLength = interaction.options.getInteger('max-length');
+        if (minLength !== null && maxLength !== null && minLength > maxLength) {
+            return interaction.editReply('❌ The minimum length cannot be greater than the maximum length.');
+        }
+
+        const required = interaction.options.getBoolean('required');
+        topic.formQuestions.push({
+            label: interaction.options.getString('label'),
+            style: interaction.options.getString('style') || 'paragraph',
+            required: required === null ? true : required,
+            minLength: minLength || null,
+            maxLength: maxLength || null,
+            placeholder: interaction.options.getString('placeholder'),
+        });
+
+        await setGuildConfig(interaction.guild.id, config);
+        return interaction.editReply(`✅ Question ${topic.formQuestions.length} added to the intake form of **${topic.label}**.`);
+    }
+
+    if (subcommand === 'remove') {
+        const number = interaction.options.getInteger('number');
+        if (number > topic.formQuestions.length) {
+            return interaction.editReply(`❌ Question ${number} does not exist. **${topic.label}** has ${topic.formQuestions.length} question(s).`);
+        }
+
+        const [removed] = topic.formQuestions.splice(number - 1, 1);
+        await setGuildConfig(interaction.guild.id, config);
+        return interaction.editReply(`✅ Question **${removed.label}** removed from the intake form of **${topic.label}**.`);
+    }
+
+    if (subcommand === 'clear') {
+        topic.formQuestions = [];
+        await setGuildConfig(interaction.guild.id, config);
+        return interaction.editReply(`✅ The intake form of **${topic.label}** has been cleared. The default description field will be used.`);
+    }
+}
+
 // --- 3. /ticket-panel (STAFF) ---
-const ticketPanelCommand = {
-    data: new SlashCommandBuilder()
-        .setName('ticket-panel')
-        .setDescription('🖼️ [Staff] Send the ticket creation panel to the current channel.')
-        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
-        .addStringOption(option => 
+
+/**
+ * Sanitizes a panel name so it can be embedded in component custom IDs.
+ * @param {string} name The raw panel name.
+ * @returns {string} The sanitized name (lowercase letters, numbers, '-' and '_').
+ */
+function sanitizePanelName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+}
+
+/**
+ * Builds the message payload (embed and components) for a named panel.
+ * @param {object} config The guild configuration object.
+ * @param {object} panel The panel configuration.
+ * @returns {{payload: object|null, error: string|null}} The message payload, or an error message.
+ */
+function buildPanelMessage(config, panel) {
+    // An empty topic list means the panel offers every configured topic
+    const topics = panel.topicValues.length > 0
+        ? config.ticketTopics.filter(t => panel.topicValues.includes(t.value))
+        : config.ticketTopics;
+
+    if (topics.length === 0) {
+        return { payload: null, error: `❌ Panel **${panel.name}** has no existing topics. Add topics using \`/ticket-topic add\` or edit the panel's topic list.` };
+    }
+
+    const panelEmbed = new EmbedBuilder()
+        .setColor(panel.color ?? 0x3498DB)
+        .setTitle(panel.title)
+        .setDescription(panel.description)
+        .setTimestamp();
+
+    const components = [];
+
+    if (panel.style === 'buttons') {
+        if (topics.length > 5) {
+            return { payload: null, error: `❌ Panel **${panel.name}** uses the **Button** style, but has more than 5 topics. Please use the **Select Menu** style or reduce its topics.` };
+        }
+        // Create a button for each topic; the panel name routes the ticket
+        const row = new ActionRowBuilder();
+        topics.forEach(topic => {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`ticket_open_${topic.value}:${panel.name}`)
+                    .setLabel(topic.label)
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji(topic.emoji || '🎫')
+            );
+        });
+        components.push(row);
+
+    } else {
+        // Create a select menu with the panel's topics
+        const options = topics.map(topic => ({
+            label: topic.label,
+            description: topic.description,
+            value: topic.value,
+            emoji: topic.emoji,
+        }));
+
+        const selectMenu = new StringSelectMenuBuilder()
+            .setCustomId(`ticket_panel_topic_select:${panel.name}`)
+            .setPlaceholder('Select a ticket topic...')
+            .addOptions(options);
+
+        components.push(new ActionRowBuilder().addComponents(selectMenu));
+    }
+
+    return { payload: { embeds: [panelEmbed], components: components }, error: null };
+}
+
+/**
+ * Adds the options shared by the panel create and edit subcommands.
+ * @param {SlashCommandSubcommandBuilder} subcommand The subcommand builder.
+ * @param {boolean} isCreate Whether the style option is required (create) or optional (edit).
+ * @returns {SlashCommandSubcommandBuilder} The subcommand builder.
+ */
+function addPanelOptions(subcommand, isCreate) {
+    return subcommand
+        .addStringOption(option =>
             option.setName('style')
                 .setDescription('Select the style for the panel.')
-                .setRequired(true)
+                .setRequired(isCreate)
                 .addChoices(
                     { name: 'Buttons (up to 5 topics)', value: 'buttons' },
                     { name: 'Select Menu (for 5+ topics)', value: 'select' }
                 ))
-        .addStringOption(option => 
+        .addStringOption(option =>
+            option.setName('topics')
+                .setDescription('Comma-separated topic values shown on this panel (empty = all topics).'))
+        .addChannelOption(option =>
+            option.setName('category')
+                .setDescription('Category for tickets opened from this panel (overrides the guild default).')
+                .addChannelTypes(ChannelType.GuildCategory))
+        .addRoleOption(option =>
+            option.setName('support-role')
+                .setDescription('Support role for tickets opened from this panel (overrides the guild default).'))
+        .addStringOption(option =>
+            option.setName('ticket-mode')
+                .setDescription('Open tickets from this panel as channels or threads (overrides the guild default).')
+                .addChoices(...TICKET_MODE_CHOICES))
+        .addChannelOption(option =>
+            option.setName('thread-channel')
+                .setDescription('Channel ticket threads from this panel are created in (overrides the guild default).')
+                .addChannelTypes(ChannelType.GuildText))
+        .addStringOption(option =>
             option.setName('title')
-                .setDescription('Optional: Title for the embed.')
-                .setRequired(false))
-        .addStringOption(option => 
+                .setDescription('Title for the embed.'))
+        .addStringOption(option =>
             option.setName('description')
-                .setDescription('Optional: Description for the embed.')
-                .setRequired(false)),
+                .setDescription('Description for the embed.'))
+        .addStringOption(option =>
+            option.setName('color')
+                .setDescription('Embed color as a hex code (e.g., #3498DB).'));
+}
+
+const ticketPanelCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-panel')
+        .setDescription('🖼️ [Staff] Manage named ticket creation panels.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addSubcommand(subcommand =>
+            addPanelOptions(
+                subcommand.setName('create')
+                    .setDescription('Creates a named panel and sends it to a channel.')
+                    .addStringOption(option => option.setName('name').setDescription('Unique name for the panel (e.g., billing).').setRequired(true)),
+                true
+            ).addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('The channel to send the panel to (defaults to the current channel).')
+                    .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            addPanelOptions(
+                subcommand.setName('edit')
+                    .setDescription('Edits a panel and refreshes its posted message.')
+                    .addStringOption(option => option.setName('name').setDescription('The name of the panel to edit.').setRequired(true)),
+                false
+            ).addBooleanOption(option =>
+                option.setName('clear-routing')
+                    .setDescription('Remove the category, support role and ticket mode overrides (use the guild defaults).')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Deletes a panel and its posted message.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the panel to delete.').setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('send')
+                .setDescription('(Re)sends an existing panel to a channel.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the panel to send.').setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The channel to send the panel to (defaults to the current channel).')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists all configured panels.')),
     
     async execute(interaction) {
         await interaction.deferReply({ ephemeral: true });
-        const config = await getGuildConfig(interaction.guild.id);
-        const style = interaction.options.getString('style');
-        const title = interaction.options.getString('title') || 'Need Assistance? Open a Ticket!';
-        const description = interaction.options.getString('description') || 'Select a topic below to open a private support ticket. Please be detailed in your request.';
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
 
-        if (!isConfigured(config)) {
-            return interaction.editReply('❌ The ticketing system is not fully configured. Please set the Category and Support Role using `/ticket-config` first.');
+        if (subcommand === 'list') {
+            return interaction.editReply({ embeds: [createPanelListEmbed(config, guild)] });
         }
 
-        if (config.ticketTopics.length === 0) {
-            return interaction.editReply('❌ No ticket topics have been configured. Please add topics using `/ticket-topic add` first.');
+        const name = sanitizePanelName(interaction.options.getString('name'));
+        if (!name) {
+            return interaction.editReply('❌ The panel name must contain at least one letter or number.');
         }
+        const panelIndex = config.panels.findIndex(p => p.name === name);
 
-        const panelEmbed = new EmbedBuilder()
-            .setColor(0x3498DB)
-            .setTitle(title)
-            .setDescription(description)
-            .setTimestamp();
-        
-        let components = [];
-
-        if (style === 'buttons') {
-            if (config.ticketTopics.length > 5) {
-                return interaction.editReply('❌ You selected the **Button** style, but you have more than 5 topics. Please use the **Select Menu** style or remove some topics.');
-            }
-            // Create a button for each topic
-            const row = new ActionRowBuilder();
-            config.ticketTopics.forEach(topic => {
-                row.addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`ticket_open_${topic.value}`)
-                        .setLabel(topic.label)
-                        .setStyle(ButtonStyle.Primary)
-                        .setEmoji(topic.emoji || '🎫')
-                );
-            });
-            components.push(row);
+        if (subcommand === 'create' && panelIndex !== -1) {
+            return interaction.editReply(`❌ A panel named \`${name}\` already exists. Use \`/ticket-panel edit\` to change it.`);
+        }
+        if (subcommand !== 'create' && panelIndex === -1) {
+            return interaction.editReply(`❌ Panel \`${name}\` not found.`);
+        }
 
-        } else if (style === 'select') {
-            // Create a select menu with all topics
-            const options = config.ticketTopics.map(topic => ({
-                label: topic.label,
-                description: topic.description,
-                value: topic.value,
-                emoji: topic.emoji,
-            }));
+        if (subcommand === 'delete') {
+            const [removedPanel] = config.panels.splice(panelIndex, 1);
+            await deletePanelMessage(guild, removedPanel);
+            await setGuildConfig(guild.id, config);
+            return interaction.editReply(`✅ Panel \`${name}\` has been deleted.`);
+        }
 
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('ticket_panel_topic_select')
-                .setPlaceholder('Select a ticket topic...')
-                .addOptions(options);
+        if (subcommand === 'send') {
+            const panel = config.panels[panelIndex];
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            const { payload, error } = buildPanelMessage(config, panel);
+            if (error) {
+                return interaction.editReply(error);
+            }
 
-            components.push(new ActionRowBuilder().addComponents(selectMenu));
+            // Replace the previously posted copy so only one live panel message exists
+            await deletePanelMessage(guild, panel);
+            const message = await channel.send(payload);
+            panel.channelId = channel.id;
+            panel.messageId = message.id;
+            await setGuildConfig(guild.id, config);
+            return interaction.editReply(`✅ Panel \`${name}\` sent to ${channel}.`);
         }
 
-        // Send the panel
-        await interaction.channel.send({
-            embeds: [panelEmbed],
-            components: components
-        });
+        // --- create / edit: collect the provided options ---
+        const panel = subcommand === 'create'
+            ? {
+                name,
+                style: 'buttons',
+                title: 'Need Assistance? Open a Ticket!',
+                description: 'Select a topic below to open a private support ticket. Please be detailed in your request.',
+                color: null,
+                topicValues: [],
+                categoryId: null,
+                supportRoleId: null,
+                ticketMode: null,
+                threadChannelId: null,
+                channelId: null,
+                messageId: null,
+            }
+            : config.panels[panelIndex];
 
-        // Confirm to the staff member
-        await interaction.editReply({ content: '✅ Ticket panel sent successfully to this channel.' });
-    }
-};
+        const style = interaction.options.getString('style');
+        const topicsInput = interaction.options.getString('topics');
+        const category = interaction.options.getChannel('category');
+        const supportRole = interaction.options.getRole('support-role');
+        const ticketMode = interaction.options.getString('ticket-mode');
+        const threadChannel = interaction.options.getChannel('thread-channel');
+        const title = interaction.options.getString('title');
+        const description = interaction.options.getString('description');
+        const colorInput = interaction.options.getString('color');
 
-// --- 4. /ticket-rename (STAFF) ---
-const ticketRenameCommand = {
-    data: new SlashCommandBuilder()
-        .setName('ticket-rename')
+        if (style) panel.style = style;
+        if (title) panel.title = title;
+        if (description) panel.description = description;
+
+        if (colorInput) {
+            const match = colorInput.trim().match(/^#?([0-9a-f]{6})$/i);
+            if (!match) {
+                return interaction.editReply('❌ The color must be a hex code such as `#3498DB`.');
+            }
+            panel.color = parseInt(match[1], 16);
+        }
+
+        if (topicsInput !== null) {
+            const values = topicsInput.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+            const unknown = values.filter(v => !config.ticketTopics.some(t => t.value === v));
+            if (unknown.length > 0) {
+                return interaction.editReply(`❌ Unknown topic value(s): ${unknown.map(v => `\`${v}\``).join(', ')}. Use \`/ticket-topic list\` to see the configured topics.`);
+            }
+            panel.topicValues = values;
+        }
+
+        if (interaction.options.getBoolean('clear-routing')) {
+            panel.categoryId = null;
+            panel.supportRoleId = null;
+            panel.ticketMode = null;
+            panel.threadChannelId = null;
+        }
+
+        if (category) {
+            if (!guild.members.me.permissionsIn(category).has(REQUIRED_CATEGORY_PERMISSIONS)) {
+                return interaction.editReply(`❌ Bot requires the following permissions in the **${category.name}** category: \`${REQUIRED_CATEGORY_PERMISSIONS.join(', ')}\`.`);
+            }
+            panel.categoryId = category.id;
+        }
+
+        if (supportRole) {
+            panel.supportRoleId = supportRole.id;
+        }
+
+        if (ticketMode) {
+            panel.ticketMode = ticketMode;
+        }
+
+        if (threadChannel) {
+            const threadError = validateThreadChannel(guild, threadChannel.id);
+            if (threadError) {
+                return interaction.editReply(threadError);
+            }
+            panel.threadChannelId = threadChannel.id;
+        }
+
+        // Tickets need a category (or a thread channel in thread mode) and support role, from the panel or the guild defaults
+        const usesThreads = (panel.ticketMode || config.ticketMode) === 'thread';
+        if (usesThreads && !(panel.threadChannelId || config.threadChannelId)) {
+            return interaction.editReply('❌ This panel opens tickets as threads but has no thread channel. Set one on the panel, or set the guild default using `/ticket-config` first.');
+        }
+        if ((!usesThreads && !(panel.categoryId || config.categoryId)) || !(panel.supportRoleId || config.supportRoleId)) {
+            return interaction.editReply('❌ This panel has no category or support role. Set them on the panel, or set the guild defaults using `/ticket-config` first.');
+        }
+
+        const { payload, error } = buildPanelMessage(config, panel);
+        if (error) {
+            return interaction.editReply(error);
+        }
+
+        if (subcommand === 'create') {
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            const message = await channel.send(payload);
+            panel.channelId = channel.id;
+            panel.messageId = message.id;
+            config.panels.push(panel);
+            await setGuildConfig(guild.id, config);
+            return interaction.editReply(`✅ Panel \`${name}\` created and sent to ${channel}.`);
+        }
+
+        // edit: refresh the posted message if it still exists
+        await setGuildConfig(guild.id, config);
+        const postedMessage = await fetchPanelMessage(guild, panel);
+        if (!postedMessage) {
+            return interaction.editReply(`✅ Panel \`${name}\` updated. Its posted message could not be found; use \`/ticket-panel send\` to post it again.`);
+        }
+        await postedMessage.edit(payload);
+        return interaction.editReply(`✅ Panel \`${name}\` updated and its message in <#${panel.channelId}> refreshed.`);
+    }
+};
+
+/**
+ * Fetches the posted message of a panel, if it still exists.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} panel The panel configuration.
+ * @returns {Promise<Message|null>} The panel message, or null.
+ */
+async function fetchPanelMessage(guild, panel) {
+    if (!panel.channelId || !panel.messageId) return null;
+    const channel = guild.channels.cache.get(panel.channelId);
+    if (!channel) return null;
+    return channel.messages.fetch(panel.messageId).catch(() => null);
+}
+
+/**
+ * Deletes the posted message of a panel, if it still exists.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} panel The panel configuration.
+ */
+async function deletePanelMessage(guild, panel) {
+    const message = await fetchPanelMessage(guild, panel);
+    if (message) {
+        await message.delete().catch(() => {});
+    }
+}
+
+/**
+ * Creates an embed listing all configured panels.
+ * @param {object} config The guild configuration object.
+ * @param {Guild} guild The Discord Guild object.
+ * @returns {EmbedBuilder} The panel list embed.
+ */
+function createPanelListEmbed(config, guild) {
+    const embed = new EmbedBuilder()
+        .setColor(0x3498DB)
+        .setTitle(`🖼️ Ticket Panels (${config.panels.length})`)
+        .setFooter({ text: `Guild ID: ${guild.id}` })
+        .setTimestamp();
+
+    if (config.panels.length === 0) {
+        return embed.setDescription('*No panels configured. Use `/ticket-panel create`.*');
+    }
+
+    embed.addFields(config.panels.slice(0, 25).map(panel => ({
+        name: `${panel.name} (${panel.style === 'buttons' ? 'Buttons' : 'Select Menu'})`,
+        value: [
+            `**Topics:** ${panel.topicValues.length > 0 ? panel.topicValues.map(v => `\`${v}\``).join(', ') : '*All topics*'}`,
+            `**Category:** ${panel.categoryId ? `<#${panel.categoryId}>` : '*Guild default*'}`,
+            `**Support Role:** ${panel.supportRoleId ? `<@&${panel.supportRoleId}>` : '*Guild default*'}`,
+            `**Ticket Mode:** ${panel.ticketMode ? (panel.ticketMode === 'thread' ? 'Threads' : 'Channels') : '*Guild default*'}` +
+                (panel.threadChannelId ? ` in <#${panel.threadChannelId}>` : ''),
+            `**Posted In:** ${panel.channelId ? `<#${panel.channelId}>` : '*Not posted*'}`,
+        ].join('\n'),
+    })));
+
+    return embed;
+}
+
+// --- 4. /ticket-rename (STAFF) ---
+const ticketRenameCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-rename')
         .setDescription('✏️ [Staff] Renames the current ticket channel.')
         .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
         .addStringOption(option => 
@@ -391,6 +1202,12 @@ const ticketCloseCommand = {
         .setName('ticket-close')
         .setDescription('🔒 [Staff] Closes and archives the current ticket channel.')
         .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Optional: Why the ticket is being closed.')
+                .setMaxLength(500)
+                .setAutocomplete(true)
+                .setRequired(false))
         .addBooleanOption(option => 
             option.setName('silent')
                 .setDescription('Whether to close the ticket without a final message in the channel.')
@@ -399,11 +1216,55 @@ const ticketCloseCommand = {
         // Import handler function from index.js at runtime
         const { handleCloseTicket } = require('./index.js');
         const silent = interaction.options.getBoolean('silent') || false;
-        await handleCloseTicket(interaction, silent);
+        const reason = interaction.options.getString('reason');
+        await handleCloseTicket(interaction, silent, reason);
+    },
+    async autocomplete(interaction) {
+        await respondWithCloseReasons(interaction);
+    }
+};
+
+/**
+ * Suggests the guild's preset close reasons for a `reason` option.
+ * @param {Interaction} interaction The autocomplete interaction.
+ */
+async function respondWithCloseReasons(interaction) {
+    const config = await getGuildConfig(interaction.guild.id);
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = config.closeReasons
+        .filter(reason => reason.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map(reason => ({ name: reason, value: reason }));
+    await interaction.respond(choices);
+}
+
+// --- 8. /ticket-reopen (STAFF) ---
+const ticketReopenCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-reopen')
+        .setDescription('🔓 [Staff] Reopens an archived ticket and restores its permissions.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleReopenTicket } = require('./index.js');
+        await handleReopenTicket(interaction);
+    }
+};
+
+// --- 9. /ticket-delete (STAFF) ---
+const ticketDeleteCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-delete')
+        .setDescription('🗑️ [Staff] Permanently deletes a closed (archived) ticket channel.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleDeleteTicket } = require('./index.js');
+        await handleDeleteTicket(interaction);
     }
 };
 
-// --- 8. /ticket-claim (STAFF) ---
+// --- 10. /ticket-claim (STAFF) ---
 const ticketClaimCommand = {
     data: new SlashCommandBuilder()
         .setName('ticket-claim')
@@ -412,16 +1273,34 @@ const ticketClaimCommand = {
         .addBooleanOption(option => 
             option.setName('force')
                 .setDescription('Forcefully claim the ticket even if already claimed by someone else.')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Hand the ticket off to another staff member instead of claiming it yourself.')
                 .setRequired(false)),
     async execute(interaction) {
         // Import handler function from index.js at runtime
         const { handleClaimTicket } = require('./index.js'); 
         const forceClaim = interaction.options.getBoolean('force') || false;
-        await handleClaimTicket(interaction, forceClaim);
+        const targetUser = interaction.options.getUser('user');
+        await handleClaimTicket(interaction, forceClaim, targetUser);
+    }
+};
+
+// --- 11. /ticket-unclaim (STAFF) ---
+const ticketUnclaimCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-unclaim')
+        .setDescription('↩️ [Staff] Releases the claim on the current ticket.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleUnclaimTicket } = require('./index.js');
+        await handleUnclaimTicket(interaction);
     }
 };
 
-// --- 9. /ticket-lock (STAFF) ---
+// --- 12. /ticket-lock (STAFF) ---
 const ticketLockCommand = {
     data: new SlashCommandBuilder()
         .setName('ticket-lock')
@@ -434,7 +1313,7 @@ const ticketLockCommand = {
     }
 };
 
-// --- 10. /ticket-unlock (STAFF) ---
+// --- 13. /ticket-unlock (STAFF) ---
 const ticketUnlockCommand = {
     data: new SlashCommandBuilder()
         .setName('ticket-unlock')
@@ -447,6 +1326,923 @@ const ticketUnlockCommand = {
     }
 };
 
+// --- 14. /ticket-priority (STAFF) ---
+const ticketPriorityCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-priority')
+        .setDescription('🚦 [Staff] Sets the priority of the current ticket.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('level')
+                .setDescription('The new priority level.')
+                .setRequired(true)
+                .addChoices(...PRIORITY_CHOICES)),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleSetPriority } = require('./index.js');
+        const level = interaction.options.getString('level');
+        await handleSetPriority(interaction, level);
+    }
+};
+
+// --- 15. /ticket-transfer (STAFF) ---
+const ticketTransferCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-transfer')
+        .setDescription('🔀 [Staff] Transfers the current ticket to another topic and its staff team.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('topic')
+                .setDescription('The topic to transfer the ticket to.')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addBooleanOption(option =>
+            option.setName('unclaim')
+                .setDescription('Clear the current claim so the new team can pick the ticket up.')
+                .setRequired(false)),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleTransferTicket } = require('./index.js');
+        const topicValue = interaction.options.getString('topic');
+        const clearClaim = interaction.options.getBoolean('unclaim') || false;
+        await handleTransferTicket(interaction, topicValue, clearClaim);
+    },
+    async autocomplete(interaction) {
+        const config = await getGuildConfig(interaction.guild.id);
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = config.ticketTopics
+            .filter(t => t.label.toLowerCase().includes(focused) || t.value.includes(focused))
+            .slice(0, 25)
+            .map(t => ({ name: t.label, value: t.value }));
+        await interaction.respond(choices);
+    }
+};
+
+// --- 16. /ticket-blacklist (STAFF) ---
+
+/**
+ * Parses a duration such as '30m', '12h', '7d' or '2w'.
+ * @param {string} input The raw duration.
+ * @returns {number|null} The duration in milliseconds, or null if it is invalid.
+ */
+function parseDuration(input) {
+    const match = input.trim().toLowerCase().match(/^(\d+)\s*(m|h|d|w)$/);
+    if (!match) return null;
+
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+    const amount = parseInt(match[1], 10);
+    return amount > 0 ? amount * units[match[2]] : null;
+}
+
+const ticketBlacklistCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-blacklist')
+        .setDescription('🚫 [Staff] Manage users and roles that may not open tickets.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Blacklists a user or role from opening tickets.')
+                .addUserOption(option => option.setName('user').setDescription('The user to blacklist.'))
+                .addRoleOption(option => option.setName('role').setDescription('The role to blacklist.'))
+                .addStringOption(option => option.setName('reason').setDescription('Optional: Why the user or role is blacklisted.').setMaxLength(500))
+                .addStringOption(option => option.setName('duration').setDescription('Optional: How long the entry lasts (e.g., 30m, 12h, 7d, 2w). Permanent if empty.')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Removes a user or role from the blacklist.')
+                .addUserOption(option => option.setName('user').setDescription('The user to remove.'))
+                .addRoleOption(option => option.setName('role').setDescription('The role to remove.')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists all active blacklist entries.')),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const { sendTicketLog } = require('./index.js');
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
+
+        // Drop expired entries whenever the list is touched
+        const now = Date.now();
+        config.blacklist = config.blacklist.filter(entry => !entry.expiresAt || new Date(entry.expiresAt).getTime() > now);
+
+        if (subcommand === 'list') {
+            const entriesList = config.blacklist.map((entry, i) =>
+                `\`${i + 1}.\` ${entry.targetType === 'user' ? `<@${entry.targetId}>` : `<@&${entry.targetId}>`}` +
+                ` — ${entry.reason || '*No reason*'}` +
+                ` (${entry.expiresAt ? `expires <t:${Math.floor(new Date(entry.expiresAt).getTime() / 1000)}:R>` : 'permanent'}, by <@${entry.addedBy}>)`
+            ).join('\n') || '*The blacklist is empty.*';
+
+            const embed = new EmbedBuilder()
+                .setColor(0xE74C3C)
+                .setTitle(`🚫 Ticket Blacklist (${config.blacklist.length})`)
+                .setDescription(entriesList.slice(0, 4096))
+                .setFooter({ text: `Guild ID: ${guild.id}` })
+                .setTimestamp();
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const user = interaction.options.getUser('user');
+        const role = interaction.options.getRole('role');
+        if (!user === !role) {
+            return interaction.editReply('❌ Please provide either a `user` or a `role` (not both).');
+        }
+
+        const targetId = user ? user.id : role.id;
+        const targetType = user ? 'user' : 'role';
+        const targetMention = user ? `<@${targetId}>` : `<@&${targetId}>`;
+        const existingIndex = config.blacklist.findIndex(entry => entry.targetId === targetId);
+
+        if (subcommand === 'add') {
+            const reason = interaction.options.getString('reason');
+            const durationInput = interaction.options.getString('duration');
+            let expiresAt = null;
+
+            if (durationInput) {
+                const duration = parseDuration(durationInput);
+                if (!duration) {
+                    return interaction.editReply('❌ Invalid duration. Use a number followed by `m`, `h`, `d` or `w` (e.g., `7d`).');
+                }
+                expiresAt = new Date(now + duration);
+            }
+
+            const entry = { targetId, targetType, reason, expiresAt, addedBy: interaction.user.id, addedAt: new Date() };
+            // Adding an existing target replaces its entry (e.g., to change the reason or expiry)
+            if (existingIndex !== -1) {
+                config.blacklist[existingIndex] = entry;
+            } else {
+                config.blacklist.push(entry);
+            }
+            await setGuildConfig(guild.id, config);
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(0xE74C3C)
+                .setTitle('Ticket Blacklist Updated')
+                .setDescription(
+                    `**Added:** ${targetMention} (${targetType})\n**By:** <@${interaction.user.id}>\n**Reason:** ${reason || '*No reason*'}` +
+                    `\n**Expires:** ${expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : 'Never'}`
+                )
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(`✅ ${targetMention} can no longer open tickets${expiresAt ? ` until <t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : ''}.`);
+        }
+
+        if (subcommand === 'remove') {
+            if (existingIndex === -1) {
+                return interaction.editReply(`❌ ${targetMention} is not on the blacklist.`);
+            }
+
+            config.blacklist.splice(existingIndex, 1);
+            await setGuildConfig(guild.id, config);
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(ButtonStyle.Success)
+                .setTitle('Ticket Blacklist Updated')
+                .setDescription(`**Removed:** ${targetMention} (${targetType})\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(`✅ ${targetMention} has been removed from the blacklist.`);
+        }
+    }
+};
+
+
+// --- 17. /ticket-stats (STAFF) ---
+// Time windows offered by /ticket-stats (null = all time)
+const STATS_WINDOWS = {
+    '24h': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+    '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+    '30d': { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+    '90d': { label: 'Last 90 days', ms: 90 * 24 * 60 * 60 * 1000 },
+    'all': { label: 'All time', ms: null },
+};
+
+/**
+ * Calculates the median of a list of numbers.
+ * @param {number[]} values The values.
+ * @returns {number|null} The median, or null if the list is empty.
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Formats a duration in milliseconds as a short human-readable string (e.g., "2d 3h", "14m").
+ * @param {number|null} ms The duration.
+ * @returns {string} The formatted duration, or "N/A" if there is no data.
+ */
+function formatDuration(ms) {
+    if (ms === null) return 'N/A';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return '< 1m';
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Formats the average of a list of satisfaction ratings.
+ * @param {number[]} ratings The ratings (1-5).
+ * @returns {string} The formatted average (e.g., "4.3/5 (12)"), or "N/A" if there are none.
+ */
+function formatAverageRating(ratings) {
+    if (ratings.length === 0) return 'N/A';
+    const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+    return `${average.toFixed(1)}/5 (${ratings.length})`;
+}
+
+/**
+ * Computes ticket statistics from stored lifecycle data.
+ * @param {object[]} tickets The tickets with activity in the window.
+ * @param {Date|null} since The start of the window (null = all time).
+ * @param {string|null} staffId Restricts the statistics to one staff member.
+ * @param {string} botId The bot's user ID (automatic closures are not credited to staff).
+ * @returns {object} The computed statistics.
+ */
+function computeTicketStats(tickets, since, staffId, botId) {
+    const inWindow = date => date && (!since || new Date(date) >= since);
+    const stats = { opened: 0, closed: 0, firstResponseTimes: [], closeTimes: [], ratings: [], staff: new Map(), topics: new Map() };
+    const staffEntry = userId => {
+        if (!stats.staff.has(userId)) stats.staff.set(userId, { claimed: 0, closed: 0, ratings: [] });
+        return stats.staff.get(userId);
+    };
+
+    for (const ticket of tickets) {
+        const openedInWindow = inWindow(ticket.createdAt);
+        const closedInWindow = ticket.status !== 'open' && inWindow(ticket.closedAt);
+
+        for (const claim of ticket.claimHistory || []) {
+            if (inWindow(claim.claimedAt) && (!staffId || claim.userId === staffId)) {
+                staffEntry(claim.userId).claimed++;
+            }
+        }
+        if (closedInWindow && ticket.closedBy && ticket.closedBy !== botId && (!staffId || ticket.closedBy === staffId)) {
+            staffEntry(ticket.closedBy).closed++;
+        }
+        if (ticket.rating && inWindow(ticket.ratedAt) && (!staffId || ticket.ratedStaffId === staffId)) {
+            stats.ratings.push(ticket.rating);
+            if (ticket.ratedStaffId) staffEntry(ticket.ratedStaffId).ratings.push(ticket.rating);
+        }
+
+        // For a single staff member, only count tickets they responded to, claimed or closed
+        if (staffId) {
+            const involved = ticket.firstResponderId === staffId ||
+                ticket.closedBy === staffId ||
+                ticket.ratedStaffId === staffId ||
+                (ticket.claimHistory || []).some(claim => claim.userId === staffId);
+            if (!involved) continue;
+        }
+
+        if (openedInWindow) {
+            stats.opened++;
+            const topicLabel = ticket.topicLabel || 'Unknown';
+            stats.topics.set(topicLabel, (stats.topics.get(topicLabel) || 0) + 1);
+
+            if (ticket.firstResponseAt && (!staffId || ticket.firstResponderId === staffId)) {
+                stats.firstResponseTimes.push(new Date(ticket.firstResponseAt) - new Date(ticket.createdAt));
+            }
+        }
+        if (closedInWindow) {
+            stats.closed++;
+            if (!staffId || ticket.closedBy === staffId) {
+                stats.closeTimes.push(new Date(ticket.closedAt) - new Date(ticket.createdAt));
+            }
+        }
+    }
+
+    return stats;
+}
+
+const ticketStatsCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-stats')
+        .setDescription('Shows ticket and staff performance statistics.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('window')
+                .setDescription('Optional: The time window to report on (default: last 7 days).')
+                .addChoices(...Object.entries(STATS_WINDOWS).map(([value, window]) => ({ name: window.label, value }))))
+        .addUserOption(option =>
+            option.setName('staff')
+                .setDescription('Optional: Only show statistics for this staff member.')),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const windowKey = interaction.options.getString('window') || '7d';
+        const staffUser = interaction.options.getUser('staff');
+        const window = STATS_WINDOWS[windowKey];
+        const since = window.ms ? new Date(Date.now() - window.ms) : null;
+
+        const tickets = await getTicketsForStats(interaction.guild.id, since);
+        const stats = computeTicketStats(tickets, since, staffUser ? staffUser.id : null, interaction.client.user.id);
+
+        const staffList = [...stats.staff.entries()]
+            .sort(([, a], [, b]) => (b.claimed + b.closed) - (a.claimed + a.closed))
+            .slice(0, 15)
+            .map(([userId, entry]) => `<@${userId}> — **${entry.claimed}** claimed, **${entry.closed}** closed, ⭐ ${formatAverageRating(entry.ratings)}`)
+            .join('\n') || '*No staff activity.*';
+
+        const topicList = [...stats.topics.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .map(([label, count]) => `**${label}:** ${count}`)
+            .join('\n') || '*No tickets opened.*';
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498DB)
+            .setTitle(`📊 Ticket Statistics${staffUser ? ` — ${staffUser.username}` : ''}`)
+            .setDescription(`**Window:** ${window.label}${staffUser ? `\n**Staff Member:** <@${staffUser.id}>` : ''}`)
+            .addFields(
+                { name: 'Tickets Opened', value: `${stats.opened}`, inline: true },
+                { name: 'Tickets Closed', value: `${stats.closed}`, inline: true },
+                { name: '\u200B', value: '\u200B', inline: true },
+                { name: 'Median First Response', value: formatDuration(median(stats.firstResponseTimes)), inline: true },
+                { name: 'Median Time to Close', value: formatDuration(median(stats.closeTimes)), inline: true },
+                { name: 'Average Rating', value: formatAverageRating(stats.ratings), inline: true },
+                { name: 'Staff Activity', value: staffList.slice(0, 1024), inline: false },
+                { name: 'Opened by Topic', value: topicList.slice(0, 1024), inline: false }
+            )
+            .setFooter({ text: `Guild ID: ${interaction.guild.id}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
+
+
+// --- 18. /ticket-close-request (USER) ---
+const ticketCloseRequestCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-close-request')
+        .setDescription('🔒 Asks for the current ticket to be closed (staff or the opener confirm).')
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Optional: Why the ticket should be closed.')
+                .setMaxLength(500)
+                .setAutocomplete(true)
+                .setRequired(false)),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleCloseRequest } = require('./index.js');
+        const reason = interaction.options.getString('reason');
+        await handleCloseRequest(interaction, reason);
+    },
+    async autocomplete(interaction) {
+        await respondWithCloseReasons(interaction);
+    }
+};
+
+// --- 19. /ticket-close-reasons (STAFF) ---
+const ticketCloseReasonsCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-close-reasons')
+        .setDescription('📋 [Staff] Manages the preset reasons suggested when closing tickets.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Adds a preset close reason.')
+                .addStringOption(option => option.setName('reason').setDescription('The reason (e.g., Resolved).').setMaxLength(100).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Removes a preset close reason.')
+                .addStringOption(option => option.setName('reason').setDescription('The reason to remove.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists the preset close reasons.')),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const reasonsList = config.closeReasons.map((reason, i) => `\`${i + 1}.\` ${reason}`).join('\n') || '*No preset reasons configured.*';
+            const embed = new EmbedBuilder()
+                .setColor(0x3498DB)
+                .setTitle(`📋 Close Reasons (${config.closeReasons.length})`)
+                .setDescription(reasonsList)
+                .setFooter({ text: `Guild ID: ${guild.id}` })
+                .setTimestamp();
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const reason = interaction.options.getString('reason').trim();
+        const existingIndex = config.closeReasons.findIndex(r => r.toLowerCase() === reason.toLowerCase());
+
+        if (subcommand === 'add') {
+            if (existingIndex !== -1) {
+                return interaction.editReply(`❌ The close reason **${config.closeReasons[existingIndex]}** already exists.`);
+            }
+            // Autocomplete can show at most 25 suggestions
+            if (config.closeReasons.length >= 25) {
+                return interaction.editReply('❌ You can have at most 25 preset close reasons.');
+            }
+
+            config.closeReasons.push(reason);
+            await updateGuildConfig(guild.id, { closeReasons: config.closeReasons });
+            return interaction.editReply(`✅ Close reason **${reason}** added.`);
+        }
+
+        if (subcommand === 'remove') {
+            if (existingIndex === -1) {
+                return interaction.editReply(`❌ The close reason **${reason}** does not exist.`);
+            }
+
+            const [removed] = config.closeReasons.splice(existingIndex, 1);
+            await updateGuildConfig(guild.id, { closeReasons: config.closeReasons });
+            return interaction.editReply(`✅ Close reason **${removed}** removed.`);
+        }
+    },
+    async autocomplete(interaction) {
+        await respondWithCloseReasons(interaction);
+    }
+};
+
+
+// --- 20. /ticket-transcript (STAFF) ---
+const ticketTranscriptCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-transcript')
+        .setDescription('📄 [Staff] Creates a transcript of the current ticket without closing it.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('format')
+                .setDescription('Optional: The transcript format (default: the server\'s transcript format).')
+                .setRequired(false)
+                .addChoices(...TRANSCRIPT_FORMAT_CHOICES)),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleTranscriptExport } = require('./index.js');
+        const format = interaction.options.getString('format');
+        await handleTranscriptExport(interaction, format);
+    }
+};
+
+
+// --- 21. /ticket-apikey (ADMIN) ---
+// Each guild can have a handful of named keys for the REST API (/api/v1)
+const MAX_API_KEYS = 10;
+
+const ticketApiKeyCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-apikey')
+        .setDescription('🔑 [Admin] Manages the REST API keys of this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Creates a new API key (it is only shown once).')
+                .addStringOption(option => option.setName('name').setDescription('A name to recognize the key (e.g., crm-sync).').setMaxLength(50).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Revokes an API key.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the key to revoke.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists the API keys of this server.')),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const { sendTicketLog } = require('./index.js');
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const keysList = config.apiKeys.map(key =>
+                `**${key.name}** — \`${key.keyPrefix}…\` (by <@${key.createdBy}>, ` +
+                `${key.lastUsedAt ? `last used <t:${Math.floor(new Date(key.lastUsedAt).getTime() / 1000)}:R>` : 'never used'})`
+            ).join('\n') || '*No API keys. Create one with `/ticket-apikey create`.*';
+
+            const embed = new EmbedBuilder()
+                .setColor(0x3498DB)
+                .setTitle(`🔑 API Keys (${config.apiKeys.length}/${MAX_API_KEYS})`)
+                .setDescription(keysList)
+                .setFooter({ text: `Guild ID: ${guild.id}` })
+                .setTimestamp();
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const name = interaction.options.getString('name').trim();
+        const existingIndex = config.apiKeys.findIndex(key => key.name.toLowerCase() === name.toLowerCase());
+
+        if (subcommand === 'create') {
+            if (existingIndex !== -1) {
+                return interaction.editReply(`❌ An API key named **${name}** already exists.`);
+            }
+            if (config.apiKeys.length >= MAX_API_KEYS) {
+                return interaction.editReply(`❌ A server can have at most ${MAX_API_KEYS} API keys. Revoke one first.`);
+            }
+
+            const apiKey = generateApiKey();
+            config.apiKeys.push({
+                name: name,
+                keyHash: hashApiKey(apiKey),
+                keyPrefix: apiKey.slice(0, 8),
+                createdBy: interaction.user.id,
+                createdAt: new Date(),
+                lastUsedAt: null,
+            });
+            await updateGuildConfig(guild.id, { apiKeys: config.apiKeys });
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(0xF1C40F)
+                .setTitle('API Key Created')
+                .setDescription(`**Name:** ${name}\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(
+                `✅ API key **${name}** created. Copy it now, it will not be shown again:\n\`\`\`\n${apiKey}\n\`\`\`\n` +
+                'Send it as `Authorization: Bearer <key>` to the `/api/v1` endpoints.'
+            );
+        }
+
+        if (subcommand === 'revoke') {
+            if (existingIndex === -1) {
+                return interaction.editReply(`❌ There is no API key named **${name}**.`);
+            }
+
+            const [revoked] = config.apiKeys.splice(existingIndex, 1);
+            await updateGuildConfig(guild.id, { apiKeys: config.apiKeys });
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(ButtonStyle.Danger)
+                .setTitle('API Key Revoked')
+                .setDescription(`**Name:** ${revoked.name}\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(`✅ API key **${revoked.name}** has been revoked.`);
+        }
+    },
+    async autocomplete(interaction) {
+        const config = await getGuildConfig(interaction.guild.id);
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = config.apiKeys
+            .filter(key => key.name.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(key => ({ name: key.name, value: key.name }));
+        await interaction.respond(choices);
+    }
+};
+
+// --- 22. /ticket-webhook (ADMIN) ---
+// Outgoing webhooks for ticket lifecycle events (delivery and retries live in webhooks.js)
+const MAX_WEBHOOKS = 10;
+const DELIVERY_STATUS_EMOJIS = { pending: '⏳', success: '✅', failed: '❌' };
+
+/**
+ * Parses the comma-separated event list of /ticket-webhook add.
+ * @param {string|null} input The option value ("all" or empty subscribes to every event).
+ * @returns {{events: string[], invalid: string[]}} The recognized and unrecognized event names.
+ */
+function parseWebhookEvents(input) {
+    const names = (input || 'all').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (names.length === 0 || names.includes('all')) {
+        return { events: [...TICKET_EVENTS], invalid: [] };
+    }
+    return {
+        events: [...new Set(names.filter(name => TICKET_EVENTS.includes(name)))],
+        invalid: names.filter(name => !TICKET_EVENTS.includes(name)),
+    };
+}
+
+/**
+ * Describes the outcome of a delivery for the webhook embeds.
+ * @param {object} delivery The delivery record.
+ * @returns {string} The description.
+ */
+function describeDelivery(delivery) {
+    const outcome = delivery.status === 'success'
+        ? `delivered (HTTP ${delivery.lastStatusCode})`
+        : delivery.status === 'failed'
+            ? `failed: ${delivery.lastError}`
+            : `retrying <t:${Math.floor(new Date(delivery.nextAttemptAt).getTime() / 1000)}:R> (last error: ${delivery.lastError})`;
+    return `${DELIVERY_STATUS_EMOJIS[delivery.status]} \`${delivery.event}\` — ${outcome}, ${delivery.attempts} attempt(s)`;
+}
+
+const ticketWebhookCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-webhook')
+        .setDescription('🪝 [Admin] Manages the webhooks notified of ticket events.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Registers a webhook endpoint (its signing secret is only shown once).')
+                .addStringOption(option => option.setName('name').setDescription('A name to recognize the webhook (e.g., crm-sync).').setMaxLength(50).setRequired(true))
+                .addStringOption(option => option.setName('url').setDescription('The HTTPS URL that receives the events.').setMaxLength(500).setRequired(true))
+                .addStringOption(option => option.setName('events').setDescription('Comma-separated events (e.g., opened, closed), or "all" (default).').setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Removes a webhook.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the webhook.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('toggle')
+                .setDescription('Pauses or resumes a webhook.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the webhook.').setAutocomplete(true).setRequired(true))
+                .addBooleanOption(option => option.setName('enabled').setDescription('Whether events are sent to the webhook.').setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('test')
+                .setDescription('Sends a "ping" event to a webhook.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the webhook.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('deliveries')
+                .setDescription('Shows the recent deliveries of a webhook.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the webhook.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists the webhooks of this server.')),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const { sendTicketLog } = require('./index.js');
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const webhooksList = config.webhooks.map(webhook =>
+                `${webhook.enabled ? '🟢' : '⏸️'} **${webhook.name}** — \`${webhook.url}\`\n` +
+                `  Events: ${webhook.events.length === TICKET_EVENTS.length ? 'all' : webhook.events.join(', ')}`
+            ).join('\n') || '*No webhooks. Add one with `/ticket-webhook add`.*';
+
+            const embed = new EmbedBuilder()
+                .setColor(0x3498DB)
+                .setTitle(`🪝 Webhooks (${config.webhooks.length}/${MAX_WEBHOOKS})`)
+                .setDescription(webhooksList)
+                .setFooter({ text: `Guild ID: ${guild.id}` })
+                .setTimestamp();
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const name = interaction.options.getString('name').trim();
+        const existingIndex = config.webhooks.findIndex(webhook => webhook.name.toLowerCase() === name.toLowerCase());
+
+        if (subcommand === 'add') {
+            if (existingIndex !== -1) {
+                return interaction.editReply(`❌ A webhook named **${name}** already exists.`);
+            }
+            if (config.webhooks.length >= MAX_WEBHOOKS) {
+                return interaction.editReply(`❌ A server can have at most ${MAX_WEBHOOKS} webhooks. Remove one first.`);
+            }
+
+            // HTTPS only, and never an internal address (checked again on every delivery)
+            const url = interaction.options.getString('url').trim();
+            const urlError = await validateWebhookUrl(url);
+            if (urlError) {
+                return interaction.editReply(urlError);
+            }
+            const parsedUrl = new URL(url);
+
+            const { events, invalid } = parseWebhookEvents(interaction.options.getString('events'));
+            if (invalid.length > 0 || events.length === 0) {
+                return interaction.editReply(`❌ Unknown event(s): ${invalid.map(e => `\`${e}\``).join(', ') || 'none given'}. Valid events: ${TICKET_EVENTS.join(', ')}.`);
+            }
+
+            const secret = generateWebhookSecret();
+            config.webhooks.push({
+                name: name,
+                url: parsedUrl.href,
+                secret: secret,
+                events: events,
+                enabled: true,
+                createdBy: interaction.user.id,
+                createdAt: new Date(),
+            });
+            await updateGuildConfig(guild.id, { webhooks: config.webhooks });
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(0xF1C40F)
+                .setTitle('Webhook Added')
+                .setDescription(`**Name:** ${name}\n**URL:** \`${parsedUrl.href}\`\n**Events:** ${events.join(', ')}\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(
+                `✅ Webhook **${name}** added. Copy its signing secret now, it will not be shown again:\n\`\`\`\n${secret}\n\`\`\`\n` +
+                'Verify the `X-Tickety-Signature` header (`sha256=` + HMAC-SHA256 of `<X-Tickety-Timestamp>.<body>`) before trusting a delivery.'
+            );
+        }
+
+        if (existingIndex === -1) {
+            return interaction.editReply(`❌ There is no webhook named **${name}**.`);
+        }
+        const webhook = config.webhooks[existingIndex];
+
+        if (subcommand === 'remove') {
+            config.webhooks.splice(existingIndex, 1);
+            await updateGuildConfig(guild.id, { webhooks: config.webhooks });
+
+            const logEmbed = new EmbedBuilder()
+                .setColor(ButtonStyle.Danger)
+                .setTitle('Webhook Removed')
+                .setDescription(`**Name:** ${webhook.name}\n**By:** <@${interaction.user.id}>`)
+                .setTimestamp();
+            await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+            return interaction.editReply(`✅ Webhook **${webhook.name}** has been removed. Pending retries will not be sent.`);
+        }
+
+        if (subcommand === 'toggle') {
+            webhook.enabled = interaction.options.getBoolean('enabled');
+            await updateGuildConfig(guild.id, { webhooks: config.webhooks });
+            return interaction.editReply(`✅ Webhook **${webhook.name}** is now ${webhook.enabled ? '**enabled**' : '**paused**'}.`);
+        }
+
+        if (subcommand === 'test') {
+            if (!webhook.enabled) {
+                return interaction.editReply(`❌ Webhook **${webhook.name}** is paused. Enable it with \`/ticket-webhook toggle\` first.`);
+            }
+            const delivery = await sendTestDelivery(guild.id, webhook, interaction.user.id);
+            if (!delivery) {
+                return interaction.editReply('❌ Could not record the test delivery. Please try again.');
+            }
+            return interaction.editReply(`🪝 Test delivery to **${webhook.name}**: ${describeDelivery(delivery)}.`);
+        }
+
+        if (subcommand === 'deliveries') {
+            const deliveries = await getWebhookDeliveries(guild.id, webhook.name, 10);
+            const deliveriesList = deliveries.map(delivery =>
+                `<t:${Math.floor(new Date(delivery.createdAt).getTime() / 1000)}:f> ${describeDelivery(delivery)}`
+            ).join('\n') || '*No deliveries in the last 30 days.*';
+
+            const embed = new EmbedBuilder()
+                .setColor(0x3498DB)
+                .setTitle(`🪝 Recent Deliveries: ${webhook.name}`)
+                .setDescription(deliveriesList)
+                .setTimestamp();
+            return interaction.editReply({ embeds: [embed] });
+        }
+    },
+    async autocomplete(interaction) {
+        const config = await getGuildConfig(interaction.guild.id);
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = config.webhooks
+            .filter(webhook => webhook.name.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(webhook => ({ name: webhook.name, value: webhook.name }));
+        await interaction.respond(choices);
+    }
+};
+
+
+// --- 23. /ticket-note (STAFF) ---
+const ticketNoteCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-note')
+        .setDescription('🔒 [Staff] Manages staff-only notes on the current ticket.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Adds a note that the ticket opener cannot see.')
+                .addStringOption(option => option.setName('content').setDescription('The note.').setMaxLength(1000).setRequired(true))
+                .addBooleanOption(option => option.setName('thread').setDescription('Optional: Also post it in a private staff thread (created if needed).').setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists the notes of the current ticket.')),
+    async execute(interaction) {
+        // Import handler functions from index.js at runtime
+        const { handleAddNote, handleListNotes } = require('./index.js');
+        if (interaction.options.getSubcommand() === 'list') {
+            return handleListNotes(interaction);
+        }
+        const content = interaction.options.getString('content');
+        const useThread = interaction.options.getBoolean('thread') ?? false;
+        await handleAddNote(interaction, content, useThread);
+    }
+};
+
+// --- 24. /ticket-snippet (STAFF) ---
+const MAX_SNIPPETS = 100;
+
+/**
+ * Responds to autocomplete with the snippet names matching the focused value.
+ * @param {AutocompleteInteraction} interaction The autocomplete interaction.
+ * @param {object[]} snippets The snippets to offer.
+ */
+async function respondWithSnippets(interaction, snippets) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = snippets
+        .filter(snippet => snippet.name.includes(focused))
+        .slice(0, 25)
+        .map(snippet => ({ name: snippet.name, value: snippet.name }));
+    await interaction.respond(choices);
+}
+
+const ticketSnippetCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-snippet')
+        .setDescription('💬 [Staff] Manages the saved replies posted with /ticket-reply.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Adds a snippet (the text is entered in a form).')
+                .addStringOption(option => option.setName('name').setDescription('A short unique name (lowercase letters, numbers, - and _).').setMaxLength(32).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Edits a snippet.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the snippet.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Removes a snippet.')
+                .addStringOption(option => option.setName('name').setDescription('The name of the snippet.').setAutocomplete(true).setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Lists the snippets of this server.')),
+
+    async execute(interaction) {
+        const { buildSnippetModal } = require('./index.js');
+        const guild = interaction.guild;
+        const config = await getGuildConfig(guild.id);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const snippetsList = config.snippets.map(snippet =>
+                `**${snippet.name}**${snippet.topics.length > 0 ? ` (${snippet.topics.join(', ')})` : ''} — ` +
+                `${snippet.content.length > 60 ? `${snippet.content.slice(0, 57)}...` : snippet.content}`.replace(/\n/g, ' ')
+            ).join('\n') || '*No snippets. Add one with `/ticket-snippet add`.*';
+
+            const embed = new EmbedBuilder()
+                .setColor(0x3498DB)
+                .setTitle(`💬 Snippets (${config.snippets.length}/${MAX_SNIPPETS})`)
+                .setDescription(snippetsList.length > 4096 ? `${snippetsList.slice(0, 4093)}...` : snippetsList)
+                .setFooter({ text: 'Placeholders: {user}, {ticket_number}, {topic}, {staff}, {server}' })
+                .setTimestamp();
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const name = interaction.options.getString('name').trim().toLowerCase();
+        const existing = config.snippets.find(snippet => snippet.name === name);
+
+        // The snippet text is entered in a modal (multi-line), which is saved by handleSnippetSubmit in index.js
+        if (subcommand === 'add') {
+            if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+                return interaction.reply({ content: '❌ Snippet names may only contain lowercase letters, numbers, `-` and `_`.', ephemeral: true });
+            }
+            if (existing) {
+                return interaction.reply({ content: `❌ A snippet named **${name}** already exists. Use \`/ticket-snippet edit\` to change it.`, ephemeral: true });
+            }
+            if (config.snippets.length >= MAX_SNIPPETS) {
+                return interaction.reply({ content: `❌ A server can have at most ${MAX_SNIPPETS} snippets. Remove one first.`, ephemeral: true });
+            }
+            return interaction.showModal(buildSnippetModal('add', name, null));
+        }
+
+        if (!existing) {
+            return interaction.reply({ content: `❌ There is no snippet named **${name}**.`, ephemeral: true });
+        }
+
+        if (subcommand === 'edit') {
+            return interaction.showModal(buildSnippetModal('edit', name, existing));
+        }
+
+        if (subcommand === 'remove') {
+            const snippets = config.snippets.filter(snippet => snippet.name !== name);
+            await updateGuildConfig(guild.id, { snippets: snippets });
+            return interaction.reply({ content: `✅ Snippet **${name}** removed.`, ephemeral: true });
+        }
+    },
+    async autocomplete(interaction) {
+        const config = await getGuildConfig(interaction.guild.id);
+        await respondWithSnippets(interaction, config.snippets);
+    }
+};
+
+
+// --- 25. /ticket-reply (STAFF) ---
+const ticketReplyCommand = {
+    data: new SlashCommandBuilder()
+        .setName('ticket-reply')
+        .setDescription('💬 [Staff] Posts a saved reply in the current ticket.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageChannels)
+        .addStringOption(option =>
+            option.setName('snippet')
+                .setDescription('The snippet to post.')
+                .setAutocomplete(true)
+                .setRequired(true)),
+    async execute(interaction) {
+        // Import handler function from index.js at runtime
+        const { handleSnippetReply } = require('./index.js');
+        const name = interaction.options.getString('snippet');
+        await handleSnippetReply(interaction, name);
+    },
+    async autocomplete(interaction) {
+        const config = await getGuildConfig(interaction.guild.id);
+        const ticket = await getTicketByChannel(interaction.channel.id);
+        // Only offer the snippets available for the ticket's topic
+        const snippets = config.snippets.filter(snippet =>
+            snippet.topics.length === 0 || (ticket && snippet.topics.includes(ticket.topicValue))
+        );
+        await respondWithSnippets(interaction, snippets);
+    }
+};
+
 
 // --- EXPORTS ---
 module.exports = [
@@ -457,7 +2253,22 @@ module.exports = [
     ticketAddCommand,
     ticketRemoveCommand,
     ticketCloseCommand,
+    ticketReopenCommand,
+    ticketDeleteCommand,
     ticketClaimCommand,
+    ticketUnclaimCommand,
     ticketLockCommand,
     ticketUnlockCommand,
+    ticketPriorityCommand,
+    ticketTransferCommand,
+    ticketBlacklistCommand,
+    ticketStatsCommand,
+    ticketCloseRequestCommand,
+    ticketCloseReasonsCommand,
+    ticketTranscriptCommand,
+    ticketApiKeyCommand,
+    ticketWebhookCommand,
+    ticketNoteCommand,
+    ticketSnippetCommand,
+    ticketReplyCommand,
 ];
\ No newline at end of file
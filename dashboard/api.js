@@ -0,0 +1,246 @@
+// dashboard/api.js
+// JSON REST API behind the web dashboard. Every guild route requires the Manage Server permission,
+// and configuration changes go through the same validators as the slash commands (validation.js).
+
+const express = require('express');
+const { PermissionsBitField, ChannelType } = require('discord.js');
+const {
+    getGuildConfig,
+    updateGuildConfig,
+    addGuildTopic,
+    replaceGuildTopic,
+    removeGuildTopic,
+    getTicketById,
+    getTicketsForGuild,
+} = require('../db_config.js');
+const { CONFIG_FIELD_RULES, validateConfigUpdate, validateTopic } = require('../validation.js');
+const { TRANSCRIPT_FORMATS, TRANSCRIPT_SECURITY_HEADERS } = require('../transcript_formats.js');
+
+// Topic fields that can be set through the API (intake form questions are kept as they are)
+const TOPIC_FIELDS = ['label', 'value', 'description', 'emoji', 'categoryId', 'staffRoleIds', 'channelNameTemplate', 'defaultPriority', 'inactivityReminderHours', 'inactivityCloseHours'];
+
+const MANAGE_GUILD = PermissionsBitField.Flags.ManageGuild;
+
+/**
+ * Sends a JSON error, stripping the Discord formatting used by the shared validators.
+ * @param {Response} res The Express response.
+ * @param {number} status The HTTP status code.
+ * @param {string} message The error message.
+ */
+function sendError(res, status, message) {
+    res.status(status).json({ error: message.replace(/^❌ /, '').replace(/[`*]/g, '') });
+}
+
+/**
+ * Picks the editable guild configuration fields.
+ * @param {object} config The guild configuration object.
+ * @returns {object} The configuration as returned by the API.
+ */
+function serializeConfig(config) {
+    const result = {};
+    for (const [field, rule] of Object.entries(CONFIG_FIELD_RULES)) {
+        result[field] = config[field] ?? rule.default;
+    }
+    return result;
+}
+
+/**
+ * Picks the API-settable fields of a topic from a request body.
+ * @param {object} body The request body.
+ * @returns {object} The topic fields present in the body.
+ */
+function pickTopicFields(body) {
+    const topic = {};
+    for (const field of TOPIC_FIELDS) {
+        if (field in body) topic[field] = body[field];
+    }
+    return topic;
+}
+
+/**
+ * Converts a ticket record to the summary returned by the API.
+ * @param {object} ticket The ticket record.
+ * @returns {object} The ticket summary.
+ */
+function serializeTicket(ticket) {
+    return {
+        id: String(ticket._id),
+        number: ticket.ticketNumber,
+        channelId: ticket.channelId,
+        openerId: ticket.openerId,
+        topicValue: ticket.topicValue,
+        topicLabel: ticket.topicLabel,
+        priority: ticket.priority,
+        status: ticket.status,
+        claimedBy: ticket.claimedBy,
+        createdAt: ticket.createdAt,
+        closedAt: ticket.closedAt,
+        closedBy: ticket.closedBy,
+        closeReason: ticket.closeReason,
+        rating: ticket.rating,
+        hasTranscript: Boolean(ticket.transcriptKey),
+    };
+}
+
+/**
+ * Creates the dashboard API router.
+ * @param {object} options The bot client, the transcript store and the session middleware.
+ * @returns {Router} The Express router.
+ */
+function createApiRouter({ client, transcriptStore, requireSession }) {
+    const router = express.Router();
+    router.use(express.json({ limit: '100kb' }));
+    router.use(requireSession);
+
+    // Mutations must be JSON: browsers cannot send that cross-site without a CORS preflight
+    router.use((req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'DELETE' && !req.is('application/json')) {
+            return sendError(res, 415, 'Expected an application/json request body.');
+        }
+        next();
+    });
+
+    router.get('/me', (req, res) => {
+        // Guilds the user can manage (from the login) that the bot is also in
+        const guilds = req.session.guilds
+            .filter(guild => guild.owner || (BigInt(guild.permissions) & MANAGE_GUILD) === MANAGE_GUILD)
+            .filter(guild => client.guilds.cache.has(guild.id))
+            .map(guild => ({ id: guild.id, name: guild.name, icon: guild.icon }));
+
+        res.json({ user: req.session.user, guilds: guilds });
+    });
+
+    // Every guild route re-checks Manage Server against the live member, not the login snapshot
+    router.use('/guilds/:guildId', async (req, res, next) => {
+        const guild = client.guilds.cache.get(req.params.guildId);
+        if (!guild) {
+            return sendError(res, 404, 'The bot is not in this server.');
+        }
+
+        const member = await guild.members.fetch(req.session.user.id).catch(() => null);
+        if (!member || !member.permissions.has(MANAGE_GUILD)) {
+            return sendError(res, 403, 'You need the Manage Server permission in this server.');
+        }
+
+        req.guild = guild;
+        next();
+    });
+
+    router.get('/guilds/:guildId', async (req, res) => {
+        const guild = req.guild;
+        const config = await getGuildConfig(guild.id);
+
+        res.json({
+            guild: { id: guild.id, name: guild.name, icon: guild.icon },
+            config: serializeConfig(config),
+            topics: config.ticketTopics,
+            transcriptFormats: Object.keys(TRANSCRIPT_FORMATS),
+            categories: guild.channels.cache
+                .filter(channel => channel.type === ChannelType.GuildCategory)
+                .map(channel => ({ id: channel.id, name: channel.name })),
+            textChannels: guild.channels.cache
+                .filter(channel => channel.type === ChannelType.GuildText)
+                .map(channel => ({ id: channel.id, name: channel.name })),
+            roles: guild.roles.cache
+                .filter(role => role.id !== guild.id && !role.managed)
+                .map(role => ({ id: role.id, name: role.name })),
+        });
+    });
+
+    router.patch('/guilds/:guildId/config', async (req, res) => {
+        const config = await getGuildConfig(req.guild.id);
+        const error = validateConfigUpdate(req.guild, config, req.body);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        await updateGuildConfig(req.guild.id, req.body);
+        res.json({ config: serializeConfig(await getGuildConfig(req.guild.id)) });
+    });
+
+    router.get('/guilds/:guildId/topics', async (req, res) => {
+        const config = await getGuildConfig(req.guild.id);
+        res.json({ topics: config.ticketTopics });
+    });
+
+    router.post('/guilds/:guildId/topics', async (req, res) => {
+        const config = await getGuildConfig(req.guild.id);
+        const topic = { emoji: null, staffRoleIds: [], formQuestions: [], ...pickTopicFields(req.body) };
+
+        const error = validateTopic(req.guild, topic, config.ticketTopics);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        // Topic writes only touch that topic, so a failed config read can never save the defaults over the guild's settings
+        if (!await addGuildTopic(req.guild.id, topic)) {
+            return sendError(res, 409, `The topic ${topic.value} could not be added (it may already exist).`);
+        }
+        res.status(201).json({ topic: topic });
+    });
+
+    router.put('/guilds/:guildId/topics/:value', async (req, res) => {
+        const config = await getGuildConfig(req.guild.id);
+        const index = config.ticketTopics.findIndex(t => t.value === req.params.value);
+        if (index === -1) {
+            return sendError(res, 404, `Topic ${req.params.value} not found.`);
+        }
+
+        // The value is the topic's ID (panels and tickets refer to it), so it cannot be changed
+        const topic = { ...config.ticketTopics[index], ...pickTopicFields(req.body), value: req.params.value };
+        const error = validateTopic(req.guild, topic, config.ticketTopics.filter((t, i) => i !== index));
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        if (!await replaceGuildTopic(req.guild.id, req.params.value, topic)) {
+            return sendError(res, 404, `Topic ${req.params.value} not found.`);
+        }
+        res.json({ topic: topic });
+    });
+
+    router.delete('/guilds/:guildId/topics/:value', async (req, res) => {
+        if (!await removeGuildTopic(req.guild.id, req.params.value)) {
+            return sendError(res, 404, `Topic ${req.params.value} not found.`);
+        }
+        res.status(204).end();
+    });
+
+    router.get('/guilds/:guildId/tickets', async (req, res) => {
+        const status = ['open', 'archived', 'closed'].includes(req.query.status) ? req.query.status : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const tickets = await getTicketsForGuild(req.guild.id, { status }, limit);
+        res.json({ tickets: tickets.map(serializeTicket) });
+    });
+
+    router.get('/guilds/:guildId/tickets/:ticketId/transcript', async (req, res) => {
+        const ticket = await getTicketById(req.params.ticketId);
+        if (!ticket || ticket.guildId !== req.guild.id || !ticket.transcriptKey) {
+            return sendError(res, 404, 'Transcript not found.');
+        }
+
+        try {
+            const transcript = await transcriptStore.get(ticket.transcriptKey);
+            if (!transcript) {
+                return sendError(res, 404, 'Transcript not found.');
+            }
+
+            res.set({
+                'Content-Type': (TRANSCRIPT_FORMATS[ticket.transcriptFormat] || TRANSCRIPT_FORMATS.html).contentType,
+                'Cache-Control': 'private, no-store',
+                ...TRANSCRIPT_SECURITY_HEADERS,
+            });
+            res.send(transcript);
+        } catch (error) {
+            console.error(`Failed to serve transcript for ticket ${ticket._id}:`, error);
+            sendError(res, 500, 'Failed to load the transcript.');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiRouter,
+};
\ No newline at end of file
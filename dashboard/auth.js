@@ -0,0 +1,166 @@
+// dashboard/auth.js
+// Discord OAuth2 login for the web dashboard. Sessions are kept in memory, so a restart simply logs everyone out.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DISCORD_API = 'https://discord.com/api/v10';
+const SESSION_COOKIE = 'tickety_session';
+const STATE_COOKIE = 'tickety_oauth_state';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Parses the Cookie header of a request.
+ * @param {Request} req The Express request.
+ * @returns {object} The cookies by name.
+ */
+function parseCookies(req) {
+    const cookies = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+/**
+ * Calls the Discord API with a user's OAuth2 access token.
+ * @param {string} path The API path (e.g., "/users/@me").
+ * @param {string} accessToken The OAuth2 access token.
+ * @returns {Promise<object>} The parsed response.
+ */
+async function discordRequest(path, accessToken) {
+    const response = await fetch(`${DISCORD_API}${path}`, { headers: { Authorization: `Bearer ${accessToken}` } });
+    if (!response.ok) {
+        throw new Error(`Discord API request ${path} failed with status ${response.status}.`);
+    }
+    return response.json();
+}
+
+/**
+ * Creates the OAuth2 login routes and the session middleware of the dashboard.
+ * @param {object} options The OAuth2 application settings (clientId, clientSecret, publicUrl).
+ * @returns {{ router: Router, getSession: Function, requireSession: Function }} The auth helpers.
+ */
+function createAuth({ clientId, clientSecret, publicUrl }) {
+    const sessions = new Map();
+    const redirectUri = `${publicUrl}/dashboard/callback`;
+    const secureCookie = publicUrl.startsWith('https://') ? '; Secure' : '';
+
+    /**
+     * Returns the session of a request, or null if the user is not logged in.
+     * @param {Request} req The Express request.
+     * @returns {object|null} The session ({ user, guilds, expiresAt }).
+     */
+    function getSession(req) {
+        const sessionId = parseCookies(req)[SESSION_COOKIE];
+        const session = sessionId && sessions.get(sessionId);
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            sessions.delete(sessionId);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Express middleware rejecting requests without a dashboard session.
+     */
+    function requireSession(req, res, next) {
+        const session = getSession(req);
+        if (!session) {
+            return res.status(401).json({ error: 'Not logged in.' });
+        }
+        req.session = session;
+        next();
+    }
+
+    const router = express.Router();
+
+    // Step 1: Redirect to Discord with an anti-CSRF state
+    router.get('/login', (req, res) => {
+        const state = crypto.randomBytes(16).toString('hex');
+        const params = new URLSearchParams({
+            client_id: clientId,
+            response_type: 'code',
+            scope: 'identify guilds',
+            redirect_uri: redirectUri,
+            state: state,
+            prompt: 'none',
+        });
+
+        res.set('Set-Cookie', `${STATE_COOKIE}=${state}; Path=/dashboard; HttpOnly; SameSite=Lax; Max-Age=600${secureCookie}`);
+        res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+    });
+
+    // Step 2: Exchange the code, load the user and their guilds, and start a session
+    router.get('/callback', async (req, res) => {
+        const expectedState = parseCookies(req)[STATE_COOKIE];
+        if (!req.query.code || !expectedState || req.query.state !== expectedState) {
+            return res.status(400).send('Invalid login request. Please try again.');
+        }
+
+        try {
+            const tokenResponse = await fetch(`${DISCORD_API}/oauth2/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    client_id: clientId,
+                    client_secret: clientSecret,
+                    grant_type: 'authorization_code',
+                    code: String(req.query.code),
+                    redirect_uri: redirectUri,
+                }),
+            });
+            if (!tokenResponse.ok) {
+                throw new Error(`Token exchange failed with status ${tokenResponse.status}.`);
+            }
+
+            const { access_token: accessToken } = await tokenResponse.json();
+            const [user, guilds] = await Promise.all([
+                discordRequest('/users/@me', accessToken),
+                discordRequest('/users/@me/guilds', accessToken),
+            ]);
+
+            const sessionId = crypto.randomBytes(32).toString('hex');
+            sessions.set(sessionId, {
+                user: { id: user.id, username: user.username, globalName: user.global_name, avatar: user.avatar },
+                guilds: guilds.map(guild => ({ id: guild.id, name: guild.name, icon: guild.icon, owner: guild.owner, permissions: guild.permissions })),
+                expiresAt: Date.now() + SESSION_TTL_MS,
+            });
+
+            res.set('Set-Cookie', [
+                `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secureCookie}`,
+                `${STATE_COOKIE}=; Path=/dashboard; HttpOnly; SameSite=Lax; Max-Age=0${secureCookie}`,
+            ]);
+            res.redirect('/dashboard/');
+        } catch (error) {
+            console.error('Dashboard login failed:', error);
+            res.status(502).send('Login with Discord failed. Please try again.');
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        const sessionId = parseCookies(req)[SESSION_COOKIE];
+        if (sessionId) sessions.delete(sessionId);
+
+        res.set('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secureCookie}`);
+        res.status(204).end();
+    });
+
+    // Drop expired sessions once an hour so the map does not grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [sessionId, session] of sessions) {
+            if (session.expiresAt < now) sessions.delete(sessionId);
+        }
+    }, 60 * 60 * 1000).unref();
+
+    return { router, getSession, requireSession };
+}
+
+module.exports = {
+    createAuth,
+};
\ No newline at end of file
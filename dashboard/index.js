@@ -0,0 +1,37 @@
+// dashboard/index.js
+// Mounts the web admin dashboard (static page, Discord OAuth2 login and JSON API) on the Express app.
+
+const path = require('path');
+const express = require('express');
+const { createAuth } = require('./auth.js');
+const { createApiRouter } = require('./api.js');
+
+/**
+ * Mounts the dashboard on the Express app, if the OAuth2 settings are present.
+ * Requires CLIENT_ID, DISCORD_CLIENT_SECRET and PUBLIC_URL.
+ * @param {Express} app The Express app.
+ * @param {object} options The bot client and the transcript store.
+ * @returns {boolean} Whether the dashboard was enabled.
+ */
+function mountDashboard(app, { client, transcriptStore }) {
+    const { CLIENT_ID, DISCORD_CLIENT_SECRET, PUBLIC_URL } = process.env;
+    if (!CLIENT_ID || !DISCORD_CLIENT_SECRET || !PUBLIC_URL) {
+        console.log('ℹ️ Web dashboard disabled (set CLIENT_ID, DISCORD_CLIENT_SECRET and PUBLIC_URL to enable it).');
+        return false;
+    }
+
+    const auth = createAuth({
+        clientId: CLIENT_ID,
+        clientSecret: DISCORD_CLIENT_SECRET,
+        publicUrl: PUBLIC_URL.replace(/\/+$/, ''),
+    });
+
+    app.use('/dashboard', auth.router);
+    app.use('/dashboard', express.static(path.join(__dirname, 'public')));
+    app.use('/api', createApiRouter({ client, transcriptStore, requireSession: auth.requireSession }));
+    return true;
+}
+
+module.exports = {
+    mountDashboard,
+};
\ No newline at end of file
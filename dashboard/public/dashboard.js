@@ -0,0 +1,351 @@
+// dashboard.js
+// Client side of the Tickety dashboard. All data comes from the JSON API under /api.
+
+// Editable settings, in display order (keys match the GuildConfig fields)
+const SETTINGS_FIELDS = [
+    { key: 'categoryId', label: 'Ticket Category', type: 'categories' },
+    { key: 'overflowCategoryIds', label: 'Overflow Categories (used once the ticket category is full)', type: 'categories', multiple: true },
+    { key: 'autoCreateOverflow', label: 'Auto-create Overflow Categories', type: 'boolean' },
+    { key: 'ticketMode', label: 'Ticket Mode', type: 'choice', choices: [['channel', 'Channels'], ['thread', 'Private threads']] },
+    { key: 'threadChannelId', label: 'Thread Channel (thread mode)', type: 'textChannels' },
+    { key: 'supportRoleId', label: 'Support Role', type: 'roles' },
+    { key: 'logsChannelId', label: 'Logs Channel', type: 'textChannels' },
+    { key: 'feedbackChannelId', label: 'Feedback Channel', type: 'textChannels' },
+    { key: 'escalationRoleId', label: 'Escalation Role', type: 'roles' },
+    { key: 'exclusiveClaim', label: 'Exclusive Claim', type: 'boolean' },
+    { key: 'closeMode', label: 'Close Mode', type: 'choice', choices: [['delete', 'Delete the channel'], ['archive', 'Archive the channel']] },
+    { key: 'archiveCategoryId', label: 'Archive Category', type: 'categories' },
+    { key: 'transcriptFormat', label: 'Transcript Format', type: 'choice', choices: [['html', 'HTML'], ['text', 'Plain Text'], ['markdown', 'Markdown'], ['json', 'JSON']] },
+    { key: 'inactivityReminderHours', label: 'Inactivity Reminder (hours, empty = off)', type: 'number', nullable: true },
+    { key: 'inactivityCloseHours', label: 'Auto-close After Reminder (hours, empty = off)', type: 'number', nullable: true },
+    { key: 'maxOpenTicketsPerUser', label: 'Max Open Tickets per User (0 = unlimited)', type: 'number' },
+    { key: 'maxOpenTicketsPerTopic', label: 'Max Open Tickets per Topic (0 = unlimited)', type: 'number' },
+    { key: 'maxOpenTickets', label: 'Max Open Tickets in Server (0 = unlimited)', type: 'number' },
+    { key: 'ticketCooldownMinutes', label: 'Cooldown (minutes, 0 = off)', type: 'number' },
+    { key: 'modmailEnabled', label: 'Modmail (open tickets by DMing the bot)', type: 'boolean' },
+    { key: 'modmailAnonymous', label: 'Anonymous Modmail Replies', type: 'boolean' },
+];
+
+const TOPIC_FIELDS = [
+    { key: 'label', label: 'Label', type: 'text', maxLength: 80 },
+    { key: 'value', label: 'Value (unique ID)', type: 'text', maxLength: 50 },
+    { key: 'description', label: 'Description', type: 'text', maxLength: 100 },
+    { key: 'emoji', label: 'Emoji', type: 'text', nullable: true },
+    { key: 'categoryId', label: 'Category (overrides default)', type: 'categories' },
+    { key: 'staffRoleIds', label: 'Staff Roles (override default)', type: 'roles', multiple: true },
+    { key: 'channelNameTemplate', label: 'Channel Name Template (must contain {number})', type: 'text', nullable: true, maxLength: 90 },
+    { key: 'defaultPriority', label: 'Default Priority', type: 'choice', nullable: true, choices: [['low', 'Low'], ['normal', 'Normal'], ['high', 'High'], ['urgent', 'Urgent']] },
+    { key: 'inactivityReminderHours', label: 'Reminder Hours (overrides default)', type: 'number', nullable: true },
+    { key: 'inactivityCloseHours', label: 'Auto-close Hours (overrides default)', type: 'number', nullable: true },
+];
+
+const state = { guildId: null, guildData: null, editingTopic: null };
+
+/**
+ * Creates a DOM element. Text is always set with textContent, never parsed as HTML.
+ * @param {string} tag The tag name.
+ * @param {object} [props] Properties to assign (e.g., className, href, onclick).
+ * @param {Array<Node|string>} [children] Child nodes or text.
+ * @returns {HTMLElement} The element.
+ */
+function el(tag, props = {}, children = []) {
+    const element = Object.assign(document.createElement(tag), props);
+    for (const child of children) {
+        element.append(child instanceof Node ? child : document.createTextNode(String(child ?? '')));
+    }
+    return element;
+}
+
+/**
+ * Shows a status or error message.
+ * @param {string} message The message.
+ * @param {boolean} [isError] Whether it is an error.
+ */
+function setStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Calls the dashboard API.
+ * @param {string} path The API path (e.g., "/me").
+ * @param {object} [options] The fetch options; `body` is sent as JSON.
+ * @returns {Promise<object|null>} The parsed response, or null for empty responses.
+ */
+async function api(path, options = {}) {
+    const response = await fetch(`/api${path}`, {
+        method: options.method || 'GET',
+        headers: options.body ? { 'Content-Type': 'application/json' } : {},
+        body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+
+    if (response.status === 204) return null;
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed (${response.status}).`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Builds an input for a settings or topic field.
+ * @param {object} field The field definition.
+ * @param {*} value The current value.
+ * @returns {HTMLElement} The input element.
+ */
+function buildInput(field, value) {
+    const { guildData } = state;
+
+    if (field.type === 'boolean') {
+        return el('input', { type: 'checkbox', name: field.key, checked: Boolean(value) });
+    }
+    if (field.type === 'number') {
+        return el('input', { type: 'number', name: field.key, min: 0, value: value ?? '' });
+    }
+    if (field.type === 'text') {
+        return el('input', { type: 'text', name: field.key, maxLength: field.maxLength || 100, value: value ?? '' });
+    }
+
+    const options = field.type === 'choice'
+        ? field.choices.map(([id, name]) => ({ id, name }))
+        : guildData[field.type].map(item => ({ id: item.id, name: field.type === 'roles' ? `@${item.name}` : `#${item.name}` }));
+
+    const select = el('select', { name: field.key, multiple: Boolean(field.multiple) });
+    if (!field.multiple && (field.type !== 'choice' || field.nullable)) {
+        select.append(el('option', { value: '' }, ['— Not set —']));
+    }
+    const selected = field.multiple ? (value || []) : [value];
+    for (const option of options) {
+        select.append(el('option', { value: option.id, selected: selected.includes(option.id) }, [option.name]));
+    }
+    return select;
+}
+
+/**
+ * Reads a field's value from a form.
+ * @param {HTMLFormElement} form The form.
+ * @param {object} field The field definition.
+ * @returns {*} The value in the API's format.
+ */
+function readInput(form, field) {
+    const input = form.elements[field.key];
+    if (field.type === 'boolean') return input.checked;
+    if (field.multiple) return [...input.selectedOptions].map(option => option.value);
+    if (input.value === '') return field.type === 'number' && !field.nullable ? 0 : null;
+    return field.type === 'number' ? Number(input.value) : input.value;
+}
+
+/**
+ * Renders a form from field definitions.
+ * @param {HTMLFormElement} form The form element.
+ * @param {object[]} fields The field definitions.
+ * @param {object} values The current values.
+ * @param {HTMLElement[]} actions The buttons shown under the form.
+ */
+function renderForm(form, fields, values, actions) {
+    form.replaceChildren(
+        ...fields.map(field => el('label', {}, [field.label, buildInput(field, values[field.key])])),
+        el('div', { className: 'actions' }, actions)
+    );
+}
+
+// --- Settings ---
+
+function renderSettings() {
+    const form = document.getElementById('settings-form');
+    renderForm(form, SETTINGS_FIELDS, state.guildData.config, [el('button', { type: 'submit' }, ['Save Settings'])]);
+}
+
+async function saveSettings(event) {
+    event.preventDefault();
+    const form = event.target;
+    const update = {};
+    for (const field of SETTINGS_FIELDS) {
+        const value = readInput(form, field);
+        if (value !== state.guildData.config[field.key]) {
+            update[field.key] = value;
+        }
+    }
+
+    if (Object.keys(update).length === 0) {
+        return setStatus('No changes to save.');
+    }
+
+    try {
+        const { config } = await api(`/guilds/${state.guildId}/config`, { method: 'PATCH', body: update });
+        state.guildData.config = config;
+        renderSettings();
+        setStatus('✅ Settings saved.');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+// --- Topics ---
+
+function renderTopics() {
+    const { guildData } = state;
+    const nameOf = (list, id) => list.find(item => item.id === id)?.name || id;
+
+    document.querySelector('#topics-table tbody').replaceChildren(...guildData.topics.map(topic => {
+        const routing = [
+            topic.categoryId ? `Category: ${nameOf(guildData.categories, topic.categoryId)}` : null,
+            topic.staffRoleIds?.length ? `Roles: ${topic.staffRoleIds.map(id => `@${nameOf(guildData.roles, id)}`).join(', ')}` : null,
+            topic.defaultPriority ? `Priority: ${topic.defaultPriority}` : null,
+        ].filter(Boolean).join(' | ') || 'Default';
+
+        return el('tr', {}, [
+            el('td', {}, [`${topic.emoji ? `${topic.emoji} ` : ''}${topic.label}`]),
+            el('td', {}, [el('code', {}, [topic.value])]),
+            el('td', {}, [topic.description]),
+            el('td', {}, [routing]),
+            el('td', {}, [
+                el('button', { type: 'button', className: 'secondary', onclick: () => editTopic(topic) }, ['Edit']),
+                ' ',
+                el('button', { type: 'button', className: 'danger', onclick: () => deleteTopic(topic) }, ['Delete']),
+            ]),
+        ]);
+    }));
+
+    editTopic(null);
+}
+
+function editTopic(topic) {
+    state.editingTopic = topic;
+    document.getElementById('topic-form-title').textContent = topic ? `Edit Topic: ${topic.label}` : 'Add Topic';
+
+    const form = document.getElementById('topic-form');
+    const actions = [el('button', { type: 'submit' }, [topic ? 'Save Topic' : 'Add Topic'])];
+    if (topic) {
+        actions.push(el('button', { type: 'button', className: 'secondary', onclick: () => editTopic(null) }, ['Cancel']));
+    }
+    renderForm(form, TOPIC_FIELDS, topic || {}, actions);
+    form.elements.value.disabled = Boolean(topic); // The value is the topic's ID
+}
+
+async function saveTopic(event) {
+    event.preventDefault();
+    const form = event.target;
+    const topic = {};
+    for (const field of TOPIC_FIELDS) {
+        if (field.key === 'value' && state.editingTopic) continue;
+        topic[field.key] = readInput(form, field);
+    }
+
+    try {
+        if (state.editingTopic) {
+            await api(`/guilds/${state.guildId}/topics/${encodeURIComponent(state.editingTopic.value)}`, { method: 'PUT', body: topic });
+        } else {
+            await api(`/guilds/${state.guildId}/topics`, { method: 'POST', body: topic });
+        }
+        state.guildData.topics = (await api(`/guilds/${state.guildId}/topics`)).topics;
+        renderTopics();
+        setStatus('✅ Topic saved. Use /ticket-panel edit to refresh panels that show it.');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+async function deleteTopic(topic) {
+    if (!confirm(`Delete the topic "${topic.label}"?`)) return;
+
+    try {
+        await api(`/guilds/${state.guildId}/topics/${encodeURIComponent(topic.value)}`, { method: 'DELETE' });
+        state.guildData.topics = state.guildData.topics.filter(t => t.value !== topic.value);
+        renderTopics();
+        setStatus('✅ Topic deleted.');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+// --- Tickets ---
+
+async function loadTickets() {
+    const status = document.getElementById('ticket-status').value;
+    const formatDate = date => (date ? new Date(date).toLocaleString() : '—');
+
+    try {
+        const { tickets } = await api(`/guilds/${state.guildId}/tickets?status=${status}`);
+        document.querySelector('#tickets-table tbody').replaceChildren(...tickets.map(ticket => el('tr', {}, [
+            el('td', {}, [ticket.number]),
+            el('td', {}, [ticket.topicLabel]),
+            el('td', {}, [ticket.openerId]),
+            el('td', {}, [ticket.priority]),
+            el('td', {}, [ticket.claimedBy || '—']),
+            el('td', {}, [formatDate(ticket.createdAt)]),
+            el('td', {}, [formatDate(ticket.closedAt)]),
+            el('td', {}, [ticket.closeReason || '—']),
+            el('td', {}, [ticket.hasTranscript
+                ? el('a', { href: `/api/guilds/${state.guildId}/tickets/${ticket.id}/transcript`, target: '_blank', rel: 'noopener' }, ['View'])
+                : '—']),
+        ])));
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+// --- Navigation ---
+
+function showTab(name) {
+    for (const button of document.querySelectorAll('#tabs button')) {
+        button.classList.toggle('active', button.dataset.tab === name);
+    }
+    for (const tab of document.querySelectorAll('.tab')) {
+        tab.hidden = tab.id !== `tab-${name}`;
+    }
+    if (name === 'tickets') loadTickets();
+}
+
+async function selectGuild(guildId) {
+    state.guildId = guildId;
+    setStatus('Loading...');
+    try {
+        state.guildData = await api(`/guilds/${guildId}`);
+        renderSettings();
+        renderTopics();
+        showTab('settings');
+        setStatus('');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+async function init() {
+    let me;
+    try {
+        me = await api('/me');
+    } catch (error) {
+        document.getElementById('login-view').hidden = false;
+        return;
+    }
+
+    document.getElementById('account').hidden = false;
+    document.getElementById('username').textContent = me.user.globalName || me.user.username;
+    document.getElementById('app-view').hidden = false;
+
+    const guildSelect = document.getElementById('guild-select');
+    guildSelect.replaceChildren(...me.guilds.map(guild => el('option', { value: guild.id }, [guild.name])));
+    if (me.guilds.length === 0) {
+        return setStatus('You do not manage any server the bot is in.', true);
+    }
+
+    guildSelect.addEventListener('change', () => selectGuild(guildSelect.value));
+    await selectGuild(me.guilds[0].id);
+}
+
+document.getElementById('settings-form').addEventListener('submit', saveSettings);
+document.getElementById('topic-form').addEventListener('submit', saveTopic);
+document.getElementById('ticket-status').addEventListener('change', loadTickets);
+document.getElementById('tabs').addEventListener('click', event => {
+    if (event.target.dataset.tab) showTab(event.target.dataset.tab);
+});
+document.getElementById('logout').addEventListener('click', async () => {
+    await fetch('/dashboard/logout', { method: 'POST' });
+    location.reload();
+});
+
+init();
\ No newline at end of file
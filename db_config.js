@@ -6,12 +6,104 @@ const mongoose = require('mongoose'); // Import Mongoose
 
 // --- MONGODB CONNECTION AND MODEL ---
 
+// Ticket priority levels, from lowest to highest
+const TICKET_PRIORITY_LEVELS = ['low', 'normal', 'high', 'urgent'];
+
+// Preset close reasons offered until a guild configures its own
+const DEFAULT_CLOSE_REASONS = ['Resolved', 'Duplicate', 'No response'];
+
+// Define the Schema for Intake Form Questions (Sub-document Schema, max 5 per topic)
+const FormQuestionSchema = new mongoose.Schema({
+    label: { type: String, required: true }, // Discord limits modal labels to 45 characters
+    style: { type: String, enum: ['short', 'paragraph'], default: 'paragraph' },
+    required: { type: Boolean, default: true },
+    minLength: { type: Number, default: null },
+    maxLength: { type: Number, default: null },
+    placeholder: { type: String, default: null },
+}, { _id: false });
+
 // Define the Schema for Ticket Topics (Sub-document Schema)
 const TicketTopicSchema = new mongoose.Schema({
     label: { type: String, required: true },
     value: { type: String, required: true },
     description: { type: String, required: true },
     emoji: { type: String, default: null }, // Can be an emoji character or a custom Discord emoji string
+
+    // Optional routing overrides (null/empty = use the panel or guild defaults)
+    categoryId: { type: String, default: null },
+    staffRoleIds: { type: [String], default: [] },
+    channelNameTemplate: { type: String, default: null }, // e.g. 'billing-{number}-{username}'
+
+    // Priority given to new tickets of this topic (null = normal)
+    defaultPriority: { type: String, enum: [...TICKET_PRIORITY_LEVELS, null], default: null },
+
+    // Custom intake form (empty = the default single description field)
+    formQuestions: { type: [FormQuestionSchema], default: [] },
+
+    // Optional inactivity overrides (null = use the guild defaults, 0 = off for this topic)
+    inactivityReminderHours: { type: Number, default: null },
+    inactivityCloseHours: { type: Number, default: null },
+}, { _id: false });
+
+// Define the Schema for Ticket Panels (Sub-document Schema)
+// Each named panel shows a subset of topics and can route tickets to its own category and role.
+const TicketPanelSchema = new mongoose.Schema({
+    name: { type: String, required: true }, // Unique per guild, used in component custom IDs
+    style: { type: String, enum: ['buttons', 'select'], default: 'buttons' },
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    color: { type: Number, default: null },
+    topicValues: { type: [String], default: [] }, // Empty = all topics
+
+    // Optional routing overrides (null = use the guild defaults)
+    categoryId: { type: String, default: null },
+    supportRoleId: { type: String, default: null },
+    ticketMode: { type: String, enum: ['channel', 'thread', null], default: null },
+    threadChannelId: { type: String, default: null },
+
+    // Where the panel message was posted, so it can be refreshed or removed
+    channelId: { type: String, default: null },
+    messageId: { type: String, default: null },
+}, { _id: false });
+
+// Define the Schema for Blacklist Entries (Sub-document Schema)
+const BlacklistEntrySchema = new mongoose.Schema({
+    targetId: { type: String, required: true }, // User or role ID
+    targetType: { type: String, enum: ['user', 'role'], required: true },
+    reason: { type: String, default: null },
+    expiresAt: { type: Date, default: null }, // null = permanent
+    addedBy: { type: String, required: true },
+    addedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Define the Schema for REST API keys (only a hash of the key is stored)
+const ApiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    keyHash: { type: String, required: true }, // SHA-256 of the key
+    keyPrefix: { type: String, required: true }, // First characters, to recognize the key in lists
+    createdBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: null },
+}, { _id: false });
+
+// Define the Schema for outgoing webhooks (signed POSTs for ticket lifecycle events, see webhooks.js)
+const WebhookSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    secret: { type: String, required: true }, // HMAC-SHA256 signing secret (needed in clear to sign payloads)
+    events: { type: [String], default: [] }, // Subscribed event names (see events.js)
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Define the Schema for canned responses posted with /ticket-reply
+const SnippetSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    content: { type: String, required: true }, // May contain placeholders such as {user} (see fillSnippetPlaceholders)
+    topics: { type: [String], default: [] }, // Topic values the snippet is offered in (empty = all topics)
+    createdBy: { type: String, required: true },
+    updatedAt: { type: Date, default: Date.now },
 }, { _id: false });
 
 // Define the main Guild Configuration Schema
@@ -21,15 +113,204 @@ const GuildConfigSchema = new mongoose.Schema({
     
     // Config fields (Channel and Role IDs)
     categoryId: { type: String, default: null },
+
+    // Categories used in order once the ticket category is full (Discord allows 50 channels per category),
+    // and whether the bot may create numbered overflow categories when all of them are full
+    overflowCategoryIds: { type: [String], default: [] },
+    autoCreateOverflow: { type: Boolean, default: false },
+
+    // Tickets are channels in categoryId, or private threads in threadChannelId (avoids the channel limits)
+    ticketMode: { type: String, enum: ['channel', 'thread'], default: 'channel' },
+    threadChannelId: { type: String, default: null },
+
     logsChannelId: { type: String, default: null },
+    feedbackChannelId: { type: String, default: null }, // Where satisfaction ratings are posted
     supportRoleId: { type: String, default: null },
+
+    // Optional role pinged when a ticket becomes urgent
+    escalationRoleId: { type: String, default: null },
+
+    // When enabled, only the claimer can reply; other staff can still read the ticket
+    exclusiveClaim: { type: Boolean, default: false },
+
+    // What happens to a ticket channel when it is closed: deleted, or moved to the archive category
+    closeMode: { type: String, enum: ['delete', 'archive'], default: 'delete' },
+    archiveCategoryId: { type: String, default: null },
+
+    // Inactivity handling: remind after N idle hours, then auto-close N hours after the reminder (null = disabled)
+    inactivityReminderHours: { type: Number, default: null },
+    inactivityCloseHours: { type: Number, default: null },
+
+    // Open-ticket limits (0 = unlimited) and the cooldown between opens per user
+    maxOpenTicketsPerUser: { type: Number, default: 1 },
+    maxOpenTicketsPerTopic: { type: Number, default: 0 }, // Per user, per topic
+    maxOpenTickets: { type: Number, default: 0 }, // Guild-wide
+    ticketCooldownMinutes: { type: Number, default: 0 },
+
+    // Modmail: members can open tickets by DMing the bot. Staff replies are relayed under the server's name
+    // unless modmailAnonymous is off, in which case the staff member's name is shown.
+    modmailEnabled: { type: Boolean, default: false },
+    modmailAnonymous: { type: Boolean, default: true },
     
     // Array of available ticket topics
     ticketTopics: { type: [TicketTopicSchema], default: [] },
+
+    // Array of named ticket panels
+    panels: { type: [TicketPanelSchema], default: [] },
+
+    // Users and roles that may not open tickets
+    blacklist: { type: [BlacklistEntrySchema], default: [] },
+
+    // Preset reasons suggested when closing a ticket (free text is always allowed)
+    closeReasons: { type: [String], default: () => [...DEFAULT_CLOSE_REASONS] },
+
+    // Saved replies for staff
+    snippets: { type: [SnippetSchema], default: [] },
+
+    // Keys for the REST API (each key only grants access to this guild)
+    apiKeys: { type: [ApiKeySchema], default: [] },
+
+    // Outgoing webhook endpoints for ticket lifecycle events
+    webhooks: { type: [WebhookSchema], default: [] },
+
+    // Format of the transcript generated when a ticket is closed
+    transcriptFormat: { type: String, enum: ['html', 'text', 'markdown', 'json'], default: 'html' },
 });
 
-// Create the Mongoose Model
+GuildConfigSchema.index({ 'apiKeys.keyHash': 1 });
+
+// Define the Ticket Schema (one document per ticket channel)
+// The channel topic is only used for display; this record is the source of truth.
+const TicketSchema = new mongoose.Schema({
+    guildId: { type: String, required: true, index: true },
+    channelId: { type: String, required: true, unique: true }, // The ticket channel, or the ticket thread
+    ticketNumber: { type: Number, required: true },
+    isThread: { type: Boolean, default: false }, // Opened as a private thread instead of a channel
+    modmail: { type: Boolean, default: false }, // Opened by DM: the opener has no access and messages are relayed through the bot
+    modmailStartedAt: { type: Date, default: null }, // The DM that started the conversation (the opener's transcript starts here)
+
+    // Who opened the ticket and why
+    openerId: { type: String, required: true },
+    topicValue: { type: String, required: true },
+    topicLabel: { type: String, required: true },
+    panelName: { type: String, default: null }, // The panel the ticket was opened from (null = legacy panel)
+    issueDescription: { type: String, default: null },
+    formAnswers: {
+        type: [{ question: String, answer: String, _id: false }],
+        default: [],
+    },
+
+    // The welcome message holding the staff action buttons
+    welcomeMessageId: { type: String, default: null },
+
+    priority: { type: String, enum: TICKET_PRIORITY_LEVELS, default: 'normal' },
+
+    // Staff state (staffRoleIds are the roles granted access when the ticket was created)
+    staffRoleIds: { type: [String], default: [] },
+    claimedBy: { type: String, default: null },
+    claimedAt: { type: Date, default: null },
+    exclusiveClaim: { type: Boolean, default: false }, // Whether the current claim made the staff roles read-only
+    claimHistory: {
+        type: [{ userId: String, claimedAt: Date, _id: false }],
+        default: [],
+    },
+    locked: { type: Boolean, default: false },
+
+    // First staff reply, used for response time statistics
+    firstResponseAt: { type: Date, default: null },
+    firstResponderId: { type: String, default: null },
+
+    // Inactivity tracking (persisted so the scheduler survives restarts)
+    lastMessageAt: { type: Date, default: Date.now },
+    inactivityReminderAt: { type: Date, default: null },
+
+    // Lifecycle ('archived' means closed, but the channel is kept read-only in the archive category)
+    status: { type: String, enum: ['open', 'archived', 'closed'], default: 'open' },
+    closedBy: { type: String, default: null },
+    closedAt: { type: Date, default: null },
+    closeReason: { type: String, default: null },
+
+    // Stored transcript (see transcript_store.js); the token protects the web viewer URL
+    transcriptKey: { type: String, default: null },
+    transcriptFormat: { type: String, default: null },
+    transcriptToken: { type: String, default: null },
+
+    // Pending close request (opener asks staff to close, or staff ask the opener to confirm)
+    closeRequest: {
+        type: {
+            requestedBy: String,
+            reason: String,
+            requestedAt: Date,
+            messageId: String,
+            _id: false,
+        },
+        default: null,
+    },
+
+    // Satisfaction rating left by the opener after closing (credited to the staff member who claimed the ticket)
+    rating: { type: Number, min: 1, max: 5, default: null },
+    ratingFeedback: { type: String, default: null },
+    ratedStaffId: { type: String, default: null },
+    ratedAt: { type: Date, default: null },
+    feedbackMessageId: { type: String, default: null }, // The entry posted in the feedback channel
+
+    // Staff-only notes (never shown to the opener; only included in the staff copy of the transcript)
+    notes: {
+        type: [{ authorId: String, authorName: String, content: String, createdAt: Date, _id: false }],
+        default: [],
+    },
+    notesThreadId: { type: String, default: null }, // Private staff thread the notes are mirrored to
+
+    // Snapshot taken when archiving, so /ticket-reopen can restore the channel
+    originalCategoryId: { type: String, default: null },
+    archivedOverwrites: {
+        type: [{
+            id: String,
+            type: { type: Number },
+            allow: String, // Permission bitfields are stored as strings (BigInt)
+            deny: String,
+            _id: false,
+        }],
+        default: [],
+    },
+}, { timestamps: true }); // Adds createdAt and updatedAt
+
+TicketSchema.index({ guildId: 1, openerId: 1, status: 1 });
+TicketSchema.index({ guildId: 1, ticketNumber: -1 });
+TicketSchema.index({ status: 1, lastMessageAt: 1 });
+TicketSchema.index({ guildId: 1, createdAt: -1 });
+
+// Define the Webhook Delivery Schema (one document per event sent to one webhook, kept as the delivery log)
+const WebhookDeliverySchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    webhookName: { type: String, required: true },
+    event: { type: String, required: true },
+    body: { type: String, required: true }, // The exact JSON sent, so retries carry the same payload
+
+    // Retry state ('pending' deliveries are picked up again at nextAttemptAt)
+    status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastStatusCode: { type: Number, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ guildId: 1, webhookName: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep the log for 30 days
+
+// Define the per-guild Ticket Counter Schema (monotonic sequence, never reused)
+const TicketCounterSchema = new mongoose.Schema({
+    guildId: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+});
+
+// Create the Mongoose Models
 const GuildConfig = mongoose.model('GuildConfig', GuildConfigSchema);
+const Ticket = mongoose.model('Ticket', TicketSchema);
+const TicketCounter = mongoose.model('TicketCounter', TicketCounterSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
 
 /**
  * Connects to the MongoDB database using the URI from the environment variables.
@@ -72,16 +353,37 @@ async function getGuildConfig(guildId) {
             } 
         );
         
-        // Ensure ticketTopics array is present for consistency
+        // Ensure the topic, panel, blacklist and close reason arrays are present for consistency
         if (!config.ticketTopics) {
             config.ticketTopics = [];
         }
+        if (!config.panels) {
+            config.panels = [];
+        }
+        if (!config.blacklist) {
+            config.blacklist = [];
+        }
+        if (!config.closeReasons) {
+            config.closeReasons = [...DEFAULT_CLOSE_REASONS];
+        }
+        if (!config.snippets) {
+            config.snippets = [];
+        }
+        if (!config.apiKeys) {
+            config.apiKeys = [];
+        }
+        if (!config.webhooks) {
+            config.webhooks = [];
+        }
+        if (!config.overflowCategoryIds) {
+            config.overflowCategoryIds = [];
+        }
         
         return config;
     } catch (error) {
         console.error(`Error retrieving config for guild ${guildId}:`, error);
         // Return a safe, unconfigured default on error
-        return { guildId, ticketTopics: [], categoryId: null, logsChannelId: null, supportRoleId: null }; 
+        return { guildId, ticketTopics: [], panels: [], blacklist: [], closeReasons: [...DEFAULT_CLOSE_REASONS], snippets: [], apiKeys: [], webhooks: [], categoryId: null, overflowCategoryIds: [], autoCreateOverflow: false, ticketMode: 'channel', threadChannelId: null, logsChannelId: null, feedbackChannelId: null, supportRoleId: null, escalationRoleId: null, exclusiveClaim: false, closeMode: 'delete', archiveCategoryId: null, inactivityReminderHours: null, inactivityCloseHours: null, maxOpenTicketsPerUser: 1, maxOpenTicketsPerTopic: 0, maxOpenTickets: 0, ticketCooldownMinutes: 0, modmailEnabled: false, modmailAnonymous: true, transcriptFormat: 'html' }; 
     }
 }
 
@@ -98,9 +400,33 @@ async function setGuildConfig(guildId, newConfig) {
             { 
                 $set: { 
                     categoryId: newConfig.categoryId || null,
+                    overflowCategoryIds: newConfig.overflowCategoryIds || [],
+                    autoCreateOverflow: newConfig.autoCreateOverflow || false,
+                    ticketMode: newConfig.ticketMode || 'channel',
+                    threadChannelId: newConfig.threadChannelId || null,
                     logsChannelId: newConfig.logsChannelId || null,
+                    feedbackChannelId: newConfig.feedbackChannelId || null,
                     supportRoleId: newConfig.supportRoleId || null,
+                    escalationRoleId: newConfig.escalationRoleId || null,
+                    exclusiveClaim: newConfig.exclusiveClaim || false,
+                    closeMode: newConfig.closeMode || 'delete',
+                    archiveCategoryId: newConfig.archiveCategoryId || null,
+                    inactivityReminderHours: newConfig.inactivityReminderHours || null,
+                    inactivityCloseHours: newConfig.inactivityCloseHours || null,
+                    maxOpenTicketsPerUser: newConfig.maxOpenTicketsPerUser ?? 1,
+                    maxOpenTicketsPerTopic: newConfig.maxOpenTicketsPerTopic || 0,
+                    maxOpenTickets: newConfig.maxOpenTickets || 0,
+                    ticketCooldownMinutes: newConfig.ticketCooldownMinutes || 0,
+                    modmailEnabled: newConfig.modmailEnabled || false,
+                    modmailAnonymous: newConfig.modmailAnonymous ?? true,
+                    transcriptFormat: newConfig.transcriptFormat || 'html',
                     ticketTopics: newConfig.ticketTopics || [],
+                    panels: newConfig.panels || [],
+                    blacklist: newConfig.blacklist || [],
+                    closeReasons: newConfig.closeReasons || [...DEFAULT_CLOSE_REASONS],
+                    snippets: newConfig.snippets || [],
+                    apiKeys: newConfig.apiKeys || [],
+                    webhooks: newConfig.webhooks || [],
                 }
             },
             { upsert: true }
@@ -128,9 +454,487 @@ async function updateGuildConfig(guildId, updateObject) {
     }
 }
 
+/**
+ * Appends a topic to a guild's configuration, unless a topic with the same value already exists.
+ * Only the topic list is written, so the rest of the configuration cannot be overwritten by a stale read.
+ * @param {string} guildId The ID of the guild.
+ * @param {object} topic The topic to add.
+ * @returns {Promise<boolean>} True if the topic was added.
+ */
+async function addGuildTopic(guildId, topic) {
+    try {
+        const result = await GuildConfig.updateOne(
+            { guildId: guildId, 'ticketTopics.value': { $ne: topic.value } },
+            { $push: { ticketTopics: topic } }
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        console.error(`Error adding topic ${topic.value} for guild ${guildId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Replaces one topic of a guild's configuration, found by its value.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} value The value of the topic to replace.
+ * @param {object} topic The new topic.
+ * @returns {Promise<boolean>} True if the topic was found and saved.
+ */
+async function replaceGuildTopic(guildId, value, topic) {
+    try {
+        const result = await GuildConfig.updateOne(
+            { guildId: guildId, 'ticketTopics.value': value },
+            { $set: { 'ticketTopics.$': topic } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        console.error(`Error updating topic ${value} for guild ${guildId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Removes one topic from a guild's configuration, found by its value.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} value The value of the topic to remove.
+ * @returns {Promise<boolean>} True if the topic was removed.
+ */
+async function removeGuildTopic(guildId, value) {
+    try {
+        const result = await GuildConfig.updateOne(
+            { guildId: guildId },
+            { $pull: { ticketTopics: { value: value } } }
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        console.error(`Error removing topic ${value} for guild ${guildId}:`, error);
+        return false;
+    }
+}
+
+// --- TICKET UTILITY FUNCTIONS ---
+
+/**
+ * Creates a new ticket record.
+ * Errors are not swallowed here, so the caller can clean up the channel it just created.
+ * @param {object} ticketData The initial ticket fields (guildId, channelId, openerId, ...).
+ * @returns {Promise<object>} The created ticket as a plain object.
+ */
+async function createTicket(ticketData) {
+    const ticket = await Ticket.create(ticketData);
+    return ticket.toObject();
+}
+
+/**
+ * Atomically reserves the next ticket number for a guild.
+ * Numbers are never handed out twice, even if tickets are deleted or opened concurrently.
+ * @param {string} guildId The ID of the guild.
+ * @param {Function} [getLegacyNumber] Returns the highest number used before ticket records existed
+ * (only called once, when the counter is seeded).
+ * @returns {Promise<number>} The reserved ticket number.
+ */
+async function getNextTicketNumber(guildId, getLegacyNumber = () => 0) {
+    const increment = () => TicketCounter.findOneAndUpdate(
+        { guildId: guildId },
+        { $inc: { seq: 1 } },
+        { new: true, lean: true }
+    );
+
+    let counter = await increment();
+    if (counter) {
+        return counter.seq;
+    }
+
+    // First ticket since the counter was introduced: continue after the highest stored or legacy ticket number
+    const lastTicket = await Ticket.findOne({ guildId: guildId }).sort({ ticketNumber: -1 }).lean();
+    const seq = Math.max(lastTicket ? lastTicket.ticketNumber : 0, getLegacyNumber());
+    try {
+        await TicketCounter.create({ guildId: guildId, seq: seq });
+    } catch (error) {
+        // Another ticket seeded the counter at the same moment; its value is just as good
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    counter = await increment();
+    return counter.seq;
+}
+
+/**
+ * Retrieves the ticket record that belongs to a channel.
+ * @param {string} channelId The ID of the ticket channel.
+ * @returns {Promise<object|null>} The ticket as a plain object, or null if the channel is not a ticket.
+ */
+async function getTicketByChannel(channelId) {
+    try {
+        return await Ticket.findOne({ channelId: channelId }).lean();
+    } catch (error) {
+        console.error(`Error retrieving ticket for channel ${channelId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves a ticket record by its database ID (used where there is no channel context, e.g. in DMs).
+ * @param {string} ticketId The ID of the ticket record.
+ * @returns {Promise<object|null>} The ticket as a plain object, or null if it does not exist.
+ */
+async function getTicketById(ticketId) {
+    try {
+        return await Ticket.findById(ticketId).lean();
+    } catch (error) {
+        console.error(`Error retrieving ticket ${ticketId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Updates specific fields of a ticket record by its database ID.
+ * @param {string} ticketId The ID of the ticket record.
+ * @param {object} updateObject An object containing fields to update.
+ * @returns {Promise<object|null>} The updated ticket as a plain object, or null on failure.
+ */
+async function updateTicketById(ticketId, updateObject) {
+    try {
+        return await Ticket.findByIdAndUpdate(ticketId, { $set: updateObject }, { new: true, lean: true });
+    } catch (error) {
+        console.error(`Error updating ticket ${ticketId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Updates specific fields of a ticket record.
+ * @param {string} channelId The ID of the ticket channel.
+ * @param {object} updateObject An object containing fields to update (e.g., { claimedBy: '123' }).
+ * @returns {Promise<object|null>} The updated ticket as a plain object, or null on failure.
+ */
+async function updateTicket(channelId, updateObject) {
+    try {
+        return await Ticket.findOneAndUpdate(
+            { channelId: channelId },
+            { $set: updateObject },
+            { new: true, lean: true }
+        );
+    } catch (error) {
+        console.error(`Error updating ticket for channel ${channelId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves all open tickets of a user in a guild.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} openerId The ID of the user who opened the tickets.
+ * @returns {Promise<object[]>} The open tickets as plain objects.
+ */
+async function getOpenTicketsForUser(guildId, openerId) {
+    try {
+        return await Ticket.find({ guildId: guildId, openerId: openerId, status: 'open' }).lean();
+    } catch (error) {
+        console.error(`Error retrieving open tickets for user ${openerId} in guild ${guildId}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Counts the open tickets of a guild.
+ * @param {string} guildId The ID of the guild.
+ * @returns {Promise<number>} The number of open tickets.
+ */
+async function countOpenTickets(guildId) {
+    try {
+        return await Ticket.countDocuments({ guildId: guildId, status: 'open' });
+    } catch (error) {
+        console.error(`Error counting open tickets in guild ${guildId}:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Retrieves the most recently opened ticket of a user in a guild (open or not).
+ * @param {string} guildId The ID of the guild.
+ * @param {string} openerId The ID of the user who opened the ticket.
+ * @returns {Promise<object|null>} The ticket as a plain object, or null.
+ */
+async function getLastTicketForUser(guildId, openerId) {
+    try {
+        return await Ticket.findOne({ guildId: guildId, openerId: openerId }).sort({ createdAt: -1 }).lean();
+    } catch (error) {
+        console.error(`Error retrieving the last ticket of user ${openerId} in guild ${guildId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Records activity in a ticket channel, resetting its inactivity reminder.
+ * @param {string} channelId The ID of the channel the message was sent in.
+ * @returns {Promise<object|null>} The updated ticket, or null if the channel is not an open ticket.
+ */
+async function touchTicketActivity(channelId) {
+    try {
+        return await Ticket.findOneAndUpdate(
+            { channelId: channelId, status: 'open' },
+            { $set: { lastMessageAt: new Date(), inactivityReminderAt: null } },
+            { new: true, lean: true }
+        );
+    } catch (error) {
+        console.error(`Error recording activity for channel ${channelId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Records a claim in the ticket's claim history (used for staff statistics).
+ * @param {string} channelId The ID of the ticket channel.
+ * @param {string} userId The ID of the staff member who claimed the ticket.
+ */
+async function recordTicketClaim(channelId, userId) {
+    try {
+        await Ticket.updateOne(
+            { channelId: channelId },
+            { $push: { claimHistory: { userId: userId, claimedAt: new Date() } } }
+        );
+    } catch (error) {
+        console.error(`Error recording claim for channel ${channelId}:`, error);
+    }
+}
+
+/**
+ * Adds a staff note to a ticket.
+ * @param {string} channelId The ID of the ticket channel.
+ * @param {object} note The note ({ authorId, authorName, content }).
+ * @returns {Promise<object|null>} The updated ticket, or null on error.
+ */
+async function addTicketNote(channelId, note) {
+    try {
+        return await Ticket.findOneAndUpdate(
+            { channelId: channelId },
+            { $push: { notes: { ...note, createdAt: new Date() } } },
+            { new: true, lean: true }
+        );
+    } catch (error) {
+        console.error(`Error adding note to channel ${channelId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves the tickets of a guild with any lifecycle activity (opened, claimed, closed or rated) since a date.
+ * @param {string} guildId The ID of the guild.
+ * @param {Date|null} since The start of the window (null = all time).
+ * @returns {Promise<object[]>} The tickets as plain objects.
+ */
+async function getTicketsForStats(guildId, since) {
+    const query = { guildId: guildId };
+    if (since) {
+        query.$or = [
+            { createdAt: { $gte: since } },
+            { closedAt: { $gte: since } },
+            { ratedAt: { $gte: since } },
+            { 'claimHistory.claimedAt': { $gte: since } },
+        ];
+    }
+
+    try {
+        return await Ticket.find(query).lean();
+    } catch (error) {
+        console.error(`Error retrieving ticket statistics for guild ${guildId}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Retrieves a user's open modmail ticket (a user has at most one, since their DMs can only relay to one ticket).
+ * @param {string} openerId The ID of the user.
+ * @returns {Promise<object|null>} The ticket as a plain object, or null if there is none.
+ */
+async function getOpenModmailTicket(openerId) {
+    try {
+        return await Ticket.findOne({ openerId: openerId, modmail: true, status: 'open' }).sort({ createdAt: -1 }).lean();
+    } catch (error) {
+        console.error(`Error retrieving the modmail ticket of user ${openerId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves every open ticket across all guilds (used by the inactivity scheduler).
+ * @returns {Promise<object[]>} The open tickets as plain objects.
+ */
+async function getAllOpenTickets() {
+    try {
+        return await Ticket.find({ status: 'open' }).lean();
+    } catch (error) {
+        console.error('Error retrieving open tickets:', error);
+        return [];
+    }
+}
+
+/**
+ * Retrieves the most recent tickets of a guild (used by the dashboard and the REST API).
+ * @param {string} guildId The ID of the guild.
+ * @param {object} filters Optional filters: status, topicValue, openerId, claimedBy, before (only tickets created before this date).
+ * @param {number} limit The maximum number of tickets to return.
+ * @returns {Promise<object[]>} The tickets as plain objects, newest first.
+ */
+async function getTicketsForGuild(guildId, filters, limit) {
+    const query = { guildId: guildId };
+    for (const field of ['status', 'topicValue', 'openerId', 'claimedBy']) {
+        if (filters[field]) query[field] = String(filters[field]); // Never an operator object
+    }
+    if (filters.before) query.createdAt = { $lt: filters.before };
+
+    try {
+        return await Ticket.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    } catch (error) {
+        console.error(`Error retrieving tickets for guild ${guildId}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Lists the guilds that accept modmail tickets.
+ * @returns {Promise<object[]>} The guild configurations (plain objects).
+ */
+async function getModmailGuildConfigs() {
+    try {
+        return await GuildConfig.find({ modmailEnabled: true }).lean();
+    } catch (error) {
+        console.error('Error retrieving modmail guilds:', error);
+        return [];
+    }
+}
+
+/**
+ * Finds the guild configuration that owns an API key.
+ * @param {string} keyHash The SHA-256 hash of the API key.
+ * @returns {Promise<object|null>} The guild configuration, or null if the key does not exist.
+ */
+async function getGuildConfigByApiKey(keyHash) {
+    try {
+        return await GuildConfig.findOne({ 'apiKeys.keyHash': keyHash }).lean();
+    } catch (error) {
+        console.error('Error looking up API key:', error);
+        return null;
+    }
+}
+
+/**
+ * Records the last use of an API key.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} keyHash The SHA-256 hash of the API key.
+ */
+async function touchApiKey(guildId, keyHash) {
+    try {
+        await GuildConfig.updateOne(
+            { guildId: guildId, 'apiKeys.keyHash': keyHash },
+            { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+        );
+    } catch (error) {
+        console.error(`Error recording API key use for guild ${guildId}:`, error);
+    }
+}
+
+// --- WEBHOOK DELIVERY UTILITY FUNCTIONS ---
+
+/**
+ * Creates a webhook delivery record.
+ * @param {object} deliveryData The delivery fields (guildId, webhookName, event, body, nextAttemptAt).
+ * @returns {Promise<object|null>} The created delivery as a plain object, or null on error.
+ */
+async function createWebhookDelivery(deliveryData) {
+    try {
+        const delivery = await WebhookDelivery.create(deliveryData);
+        return delivery.toObject();
+    } catch (error) {
+        console.error(`Error creating webhook delivery for guild ${deliveryData.guildId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Atomically takes the next due pending delivery, pushing its next attempt back by a lease
+ * so a concurrent sweep does not send it twice.
+ * @param {number} leaseMs How long the delivery is reserved for the caller.
+ * @returns {Promise<object|null>} The delivery, or null if none is due.
+ */
+async function claimDueWebhookDelivery(leaseMs) {
+    const now = new Date();
+    try {
+        return await WebhookDelivery.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+            { sort: { nextAttemptAt: 1 }, new: true, lean: true }
+        );
+    } catch (error) {
+        console.error('Error claiming due webhook delivery:', error);
+        return null;
+    }
+}
+
+/**
+ * Updates a webhook delivery record.
+ * @param {string} deliveryId The ID of the delivery.
+ * @param {object} updateObject The fields to update.
+ * @returns {Promise<object|null>} The updated delivery as a plain object, or null on error.
+ */
+async function updateWebhookDelivery(deliveryId, updateObject) {
+    try {
+        return await WebhookDelivery.findByIdAndUpdate(deliveryId, { $set: updateObject }, { new: true, lean: true });
+    } catch (error) {
+        console.error(`Error updating webhook delivery ${deliveryId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves the most recent deliveries of a webhook.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} webhookName The name of the webhook.
+ * @param {number} limit The maximum number of deliveries to return.
+ * @returns {Promise<object[]>} The deliveries as plain objects, newest first.
+ */
+async function getWebhookDeliveries(guildId, webhookName, limit) {
+    try {
+        return await WebhookDelivery.find({ guildId: guildId, webhookName: webhookName }).sort({ createdAt: -1 }).limit(limit).lean();
+    } catch (error) {
+        console.error(`Error retrieving webhook deliveries for guild ${guildId}:`, error);
+        return [];
+    }
+}
+
 module.exports = {
     connectDB,
     getGuildConfig,
     setGuildConfig,
-    updateGuildConfig
+    updateGuildConfig,
+    addGuildTopic,
+    replaceGuildTopic,
+    removeGuildTopic,
+    createTicket,
+    getNextTicketNumber,
+    getTicketByChannel,
+    getTicketById,
+    updateTicketById,
+    updateTicket,
+    getOpenTicketsForUser,
+    getOpenModmailTicket,
+    countOpenTickets,
+    getLastTicketForUser,
+    touchTicketActivity,
+    recordTicketClaim,
+    addTicketNote,
+    getTicketsForStats,
+    getAllOpenTickets,
+    getTicketsForGuild,
+    getModmailGuildConfigs,
+    getGuildConfigByApiKey,
+    touchApiKey,
+    createWebhookDelivery,
+    claimDueWebhookDelivery,
+    updateWebhookDelivery,
+    getWebhookDeliveries
 };
\ No newline at end of file
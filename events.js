@@ -0,0 +1,56 @@
+// events.js
+// Internal event bus for ticket lifecycle events. The ticket handlers publish to it, and subscribers
+// (such as the outgoing webhooks in webhooks.js) react without the handlers having to know about them.
+
+const { EventEmitter } = require('events');
+
+// Events published on the bus (also the names webhooks subscribe to)
+const TICKET_EVENTS = [
+    'opened',
+    'claimed',
+    'transferred',
+    'locked',
+    'unlocked',
+    'user-added',
+    'user-removed',
+    'renamed',
+    'closed',
+];
+
+const bus = new EventEmitter();
+
+/**
+ * Publishes a ticket lifecycle event. Subscribers run asynchronously, so publishing never
+ * delays or fails the action that triggered the event.
+ * @param {string} event The event name (see TICKET_EVENTS).
+ * @param {object} ticket The ticket record after the change.
+ * @param {object} [details] Event-specific details (e.g., who performed the action).
+ */
+function publishTicketEvent(event, ticket, details = {}) {
+    if (!TICKET_EVENTS.includes(event)) {
+        throw new Error(`Unknown ticket event: ${event}`);
+    }
+    bus.emit('ticket', { event: event, ticket: ticket, details: details, occurredAt: new Date() });
+}
+
+/**
+ * Subscribes to every ticket lifecycle event.
+ * @param {Function} listener Called with { event, ticket, details, occurredAt }; may be async.
+ */
+function onTicketEvent(listener) {
+    bus.on('ticket', payload => {
+        setImmediate(async () => {
+            try {
+                await listener(payload);
+            } catch (error) {
+                console.error(`Error handling ticket event "${payload.event}":`, error);
+            }
+        });
+    });
+}
+
+module.exports = {
+    TICKET_EVENTS,
+    publishTicketEvent,
+    onTicketEvent,
+};
\ No newline at end of file
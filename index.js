@@ -19,14 +19,24 @@ const {
     ModalBuilder, 
     TextInputBuilder, 
     TextInputStyle,
-    ActivityType
+    StringSelectMenuBuilder,
+    AttachmentBuilder,
+    ActivityType,
+    ThreadAutoArchiveDuration
 } = require('discord.js');
-const { createTranscript } = require('discord-html-transcripts');
+const crypto = require('crypto');
 
 // ADD EXPRESS REQUIREMENT HERE
 const express = require('express');
 
 const commands = require('./commands.js');
+const { createTranscriptStore, getTranscriptKey } = require('./transcript_store.js');
+const { TRANSCRIPT_FORMATS, TRANSCRIPT_SECURITY_HEADERS, generateTranscript } = require('./transcript_formats.js');
+const { mountDashboard } = require('./dashboard/index.js');
+const { createRestApiRouter } = require('./rest_api.js');
+const { publishTicketEvent } = require('./events.js');
+const { startWebhookDispatcher } = require('./webhooks.js');
+const { MAX_CHANNELS_PER_CATEGORY, MAX_OVERFLOW_CATEGORIES, countCategoryChannels } = require('./validation.js');
 
 // --- DATABASE UTILITIES IMPORT ---
 // Import the new Mongoose utility functions from the dedicated file
@@ -34,7 +44,22 @@ const {
     connectDB, 
     getGuildConfig, 
     setGuildConfig, 
-    updateGuildConfig 
+    updateGuildConfig,
+    createTicket,
+    getNextTicketNumber,
+    getTicketByChannel,
+    getTicketById,
+    updateTicketById,
+    updateTicket,
+    getOpenTicketsForUser,
+    getOpenModmailTicket,
+    countOpenTickets,
+    getLastTicketForUser,
+    touchTicketActivity,
+    recordTicketClaim,
+    addTicketNote,
+    getAllOpenTickets,
+    getModmailGuildConfigs
 } = require('./db_config.js'); 
 
 
@@ -56,120 +81,817 @@ const client = new Client({
     ]
 });
 
+// Where transcripts are kept (local filesystem or S3-compatible, see transcript_store.js)
+const transcriptStore = createTranscriptStore();
+
 // A collection to hold all slash commands
 client.commands = new Collection();
 commands.forEach(cmd => client.commands.set(cmd.data.name, cmd));
 
 // --- BOT UTILITY FUNCTIONS ---
 
+// Ticket priority levels: channel-name prefix emoji and welcome embed color
+const TICKET_PRIORITIES = {
+    low: { label: 'Low', emoji: '🟢', color: 0x2ECC71 },
+    normal: { label: 'Normal', emoji: '🔵', color: 0x0099FF },
+    high: { label: 'High', emoji: '🟠', color: 0xE67E22 },
+    urgent: { label: 'Urgent', emoji: '🔴', color: 0xE74C3C },
+};
+
+/**
+ * Applies the priority prefix to a channel name, replacing any previous priority prefix.
+ * Normal priority has no prefix.
+ * @param {string} name The current channel name.
+ * @param {string} priority The priority level.
+ * @returns {string} The channel name with the new prefix.
+ */
+function applyPriorityPrefix(name, priority) {
+    let baseName = name;
+    for (const level of Object.values(TICKET_PRIORITIES)) {
+        if (baseName.startsWith(`${level.emoji}-`)) {
+            baseName = baseName.slice(level.emoji.length + 1);
+            break;
+        }
+    }
+    return priority === 'normal' ? baseName : `${TICKET_PRIORITIES[priority].emoji}-${baseName}`.slice(0, 100);
+}
+
+/**
+ * Builds the component rows of a ticket's welcome message from the ticket state.
+ * @param {object} ticket The ticket record (or the fields needed to describe it).
+ * @returns {ActionRowBuilder[]} The staff action buttons and the priority select menu.
+ */
+function buildWelcomeComponents(ticket) {
+    const claimButton = ticket.claimedBy
+        ? new ButtonBuilder()
+            .setCustomId('ticket_unclaim')
+            .setLabel('Unclaim')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('↩️')
+        : new ButtonBuilder()
+            .setCustomId('ticket_claim')
+            .setLabel('Claim Ticket')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('🙋‍♂️');
+
+    const actionRow = new ActionRowBuilder()
+        .addComponents(
+            claimButton,
+            new ButtonBuilder()
+                .setCustomId('ticket_close_confirm')
+                .setLabel('Close')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🔒'),
+        );
+
+    const currentPriority = ticket.priority || 'normal';
+    const priorityRow = new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('ticket_priority_select')
+                .setPlaceholder('Set ticket priority (staff only)...')
+                .addOptions(Object.entries(TICKET_PRIORITIES).map(([value, level]) => ({
+                    label: `${level.label} Priority`,
+                    value: value,
+                    emoji: level.emoji,
+                    default: value === currentPriority,
+                }))),
+        );
+
+    return [actionRow, priorityRow];
+}
+
+/**
+ * Formats a satisfaction rating as stars (e.g., "★★★★☆").
+ * @param {number} rating The rating (1-5).
+ * @returns {string} The star string.
+ */
+function formatRatingStars(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+}
+
+/**
+ * Builds the 1-5 star rating buttons attached to the closing DM.
+ * The ticket ID is carried in the custom IDs so the buttons keep working after a restart.
+ * @param {string} ticketId The ID of the ticket record.
+ * @returns {ActionRowBuilder[]} The rating button row.
+ */
+function buildRatingComponents(ticketId) {
+    const ratingRow = new ActionRowBuilder()
+        .addComponents([1, 2, 3, 4, 5].map(score =>
+            new ButtonBuilder()
+                .setCustomId(`ticket_rate_${ticketId}_${score}`)
+                .setLabel(`${score}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('⭐')
+        ));
+
+    return [ratingRow];
+}
+
+/**
+ * Builds the display-only channel topic for a ticket.
+ * The ticket record is the source of truth; editing this text has no effect on the ticket.
+ * @param {object} ticket The ticket record (or the fields needed to describe it).
+ * @returns {string} The channel topic.
+ */
+function buildChannelTopic(ticket) {
+    let topic = `Ticket #${ticket.ticketNumber} | Opened by <@${ticket.openerId}> | Topic: ${ticket.topicLabel}`;
+    if (ticket.claimedBy) {
+        topic += ` | Claimed by <@${ticket.claimedBy}>`;
+    }
+    return topic;
+}
+
+/**
+ * Refreshes the display topic of a ticket channel (best-effort, since topic edits are rate limited).
+ * Threads have no topic, so thread tickets are left as they are.
+ * @param {TextChannel|ThreadChannel} channel The ticket channel or thread.
+ * @param {object} ticket The ticket record.
+ */
+function refreshChannelTopic(channel, ticket) {
+    if (channel.isThread()) return;
+    channel.setTopic(buildChannelTopic(ticket)).catch(() => {});
+}
+
+/**
+ * Resolves the channel (or thread) of a ticket.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} ticket The ticket record.
+ * @returns {Promise<TextChannel|ThreadChannel|null>} The ticket channel, or null if it no longer exists.
+ */
+async function fetchTicketChannel(guild, ticket) {
+    const channel = guild.channels.cache.get(ticket.channelId);
+    if (channel || !ticket.isThread) return channel || null;
+    // Discord archives idle threads, and archived threads are not cached
+    return guild.channels.fetch(ticket.channelId).catch(() => null);
+}
+
+/**
+ * Splits a panel component custom ID into its value and panel name.
+ * Panel messages encode the panel as a ':panel' suffix; legacy panels have no suffix.
+ * @param {string} value The part of the custom ID after its prefix (e.g., 'billing:support').
+ * @returns {{value: string, panelName: string|null}} The parsed parts.
+ */
+function parsePanelSuffix(value) {
+    const [base, panelName = null] = value.split(':');
+    return { value: base, panelName };
+}
+
+/**
+ * Resolves the topic (and panel, if any) selected from a ticket panel.
+ * @param {object} config The guild configuration object.
+ * @param {string} topicValue The value of the selected topic.
+ * @param {string|null} panelName The name of the panel the topic was selected from.
+ * @returns {{topic: object|null, panel: object|null, error: string|null}} The resolved topic and panel, or an error message.
+ */
+function resolvePanelTopic(config, topicValue, panelName) {
+    const panel = panelName ? config.panels.find(p => p.name === panelName) : null;
+    if (panelName && !panel) {
+        return { topic: null, panel: null, error: '❌ This ticket panel no longer exists. Please ask staff to post a new one.' };
+    }
+
+    const topic = config.ticketTopics.find(t => t.value === topicValue);
+    if (!topic || (panel && panel.topicValues.length > 0 && !panel.topicValues.includes(topicValue))) {
+        return { topic: null, panel: null, error: '❌ Invalid ticket topic.' };
+    }
+
+    return { topic, panel, error: null };
+}
+
+const DEFAULT_CHANNEL_NAME_TEMPLATE = 'ticket-{number}';
+
+// Permissions granted to a ticket's staff roles
+const STAFF_ROLE_PERMISSIONS = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessages,
+    PermissionsBitField.Flags.AttachFiles,
+    PermissionsBitField.Flags.ManageChannels // For closing/locking
+];
+
+/**
+ * Resolves where a ticket is created, which staff roles handle it and how its channel is named.
+ * Topic overrides take precedence over panel overrides, which take precedence over the guild defaults.
+ * @param {object} config The guild configuration object.
+ * @param {object|null} panel The panel the ticket was opened from.
+ * @param {object} [topic] The ticket topic.
+ * @returns {{mode: string, categoryId: string|null, threadChannelId: string|null, staffRoleIds: string[], nameTemplate: string}} The routing for the ticket.
+ */
+function resolveTicketRouting(config, panel, topic = null) {
+    const staffRoleIds = topic?.staffRoleIds?.length
+        ? topic.staffRoleIds
+        : [panel?.supportRoleId || config.supportRoleId].filter(Boolean);
+
+    return {
+        mode: panel?.ticketMode || config.ticketMode || 'channel',
+        categoryId: topic?.categoryId || panel?.categoryId || config.categoryId,
+        threadChannelId: panel?.threadChannelId || config.threadChannelId,
+        staffRoleIds: staffRoleIds,
+        nameTemplate: topic?.channelNameTemplate || DEFAULT_CHANNEL_NAME_TEMPLATE,
+    };
+}
+
+// Overflow categories being created, per guild, so simultaneous tickets do not each create one
+const overflowCreations = new Map();
+
 /**
- * Retrieves the current ticket number for a guild's category, 
- * or 0 if the category doesn't exist or is not a proper ticket category.
+ * Creates the next numbered overflow category (e.g., "Tickets 2") and appends it to the guild's overflow categories.
  * @param {Guild} guild The Discord Guild object.
- * @param {string} categoryId The ID of the ticket category.
- * @returns {number} The next ticket number.
+ * @param {object} config The guild configuration object.
+ * @param {string} categoryId The full category the new one overflows (its permissions are copied).
+ * @returns {Promise<CategoryChannel>} The new category.
  */
-function getNextTicketNumber(guild, categoryId) {
-    const category = guild.channels.cache.get(categoryId);
-    if (!category || category.type !== ChannelType.GuildCategory) {
-        return 1; // Start from 1 if category is not set up correctly
+function createOverflowCategory(guild, config, categoryId) {
+    if (!overflowCreations.has(guild.id)) {
+        const creation = (async () => {
+            const primary = guild.channels.cache.get(categoryId);
+            const category = await guild.channels.create({
+                name: `${primary ? primary.name : 'Tickets'} ${config.overflowCategoryIds.length + 2}`,
+                type: ChannelType.GuildCategory,
+                position: primary ? primary.position + config.overflowCategoryIds.length + 1 : undefined,
+                permissionOverwrites: primary
+                    ? primary.permissionOverwrites.cache.map(overwrite => ({ id: overwrite.id, type: overwrite.type, allow: overwrite.allow, deny: overwrite.deny }))
+                    : [],
+                reason: 'The ticket categories are full',
+            });
+
+            // Re-read the config so settings changed in the meantime are kept
+            const latest = await getGuildConfig(guild.id);
+            await updateGuildConfig(guild.id, { overflowCategoryIds: [...latest.overflowCategoryIds, category.id] });
+            return category;
+        })().finally(() => overflowCreations.delete(guild.id));
+
+        overflowCreations.set(guild.id, creation);
     }
+    return overflowCreations.get(guild.id);
+}
 
-    // Get all channels in the category that match the ticket name pattern
-    const ticketChannels = category.children.cache.filter(c => 
-        c.name.startsWith('ticket-') && c.type === ChannelType.GuildText
+/**
+ * Picks the category a ticket channel is placed in. The routed category is used while it has room,
+ * then the guild's overflow categories in order, then (if enabled) a newly created overflow category.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The guild configuration object.
+ * @param {string} categoryId The routed category (see resolveTicketRouting).
+ * @param {string[]} [fullCategoryIds] Categories Discord reported as full, even if the cached count says otherwise.
+ * @returns {Promise<{categoryId: string|null, error: string|null}>} The category, or an error message if every category is full.
+ */
+async function resolveTicketCategory(guild, config, categoryId, fullCategoryIds = []) {
+    const candidates = [categoryId, ...config.overflowCategoryIds.filter(id => id !== categoryId)]
+        .filter(id => !fullCategoryIds.includes(id));
+    const available = candidates.find(id =>
+        guild.channels.cache.get(id)?.type === ChannelType.GuildCategory &&
+        countCategoryChannels(guild, id) < MAX_CHANNELS_PER_CATEGORY
     );
+    if (available) {
+        return { categoryId: available, error: null };
+    }
+
+    if (config.autoCreateOverflow && config.overflowCategoryIds.length < MAX_OVERFLOW_CATEGORIES) {
+        try {
+            const category = await createOverflowCategory(guild, config, categoryId);
+            return { categoryId: category.id, error: null };
+        } catch (error) {
+            console.error(`Could not create an overflow category in guild ${guild.id}:`, error);
+        }
+    }
+
+    return {
+        categoryId: null,
+        error: `❌ All ticket categories are full (Discord allows ${MAX_CHANNELS_PER_CATEGORY} channels per category). Please try again once some tickets are closed, or ask a server admin to add an overflow category.`,
+    };
+}
+
+/**
+ * Checks whether a Discord API error means the target category already holds the maximum number of channels.
+ * @param {Error} error The error thrown by a channel creation or move.
+ * @returns {boolean} True if the category was full.
+ */
+function isCategoryFullError(error) {
+    return error?.code === 50035 && JSON.stringify(error.rawError?.errors ?? {}).includes('CHANNEL_PARENT_MAX_CHANNELS');
+}
+
+/**
+ * Creates or moves a ticket channel into the category picked by resolveTicketCategory. Simultaneous tickets can
+ * race for the last slot of a category, so when Discord reports it full the next category is tried.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The guild configuration object.
+ * @param {string} categoryId The routed category (see resolveTicketRouting).
+ * @param {Function} place Creates or moves the channel into the category ID it is given.
+ * @returns {Promise<{result: *, error: string|null}>} What place returned, or an error message if every category is full.
+ */
+async function placeTicketChannel(guild, config, categoryId, place) {
+    const fullCategoryIds = [];
+    for (;;) {
+        const placement = await resolveTicketCategory(guild, config, categoryId, fullCategoryIds);
+        if (placement.error) {
+            return { result: null, error: placement.error };
+        }
+        try {
+            return { result: await place(placement.categoryId), error: null };
+        } catch (error) {
+            if (!isCategoryFullError(error) || fullCategoryIds.includes(placement.categoryId)) throw error;
+            fullCategoryIds.push(placement.categoryId);
+        }
+    }
+}
 
+/**
+ * Finds the highest number among the `ticket-N` channels created before tickets had database records,
+ * so the ticket counter does not hand those numbers out again.
+ * @param {Guild} guild The Discord Guild object.
+ * @returns {number} The highest legacy ticket number, or 0 if there is none.
+ */
+function getLegacyTicketNumber(guild) {
     let maxNumber = 0;
-    
-    ticketChannels.forEach(channel => {
-        // Extract the number from the channel name (e.g., 'ticket-42' -> 42)
+    guild.channels.cache.forEach(channel => {
         const match = channel.name.match(/ticket-(\d+)/);
-        if (match && match[1]) {
-            const number = parseInt(match[1], 10);
-            if (number > maxNumber) {
-                maxNumber = number;
-            }
+        if (match) maxNumber = Math.max(maxNumber, parseInt(match[1], 10));
+    });
+    return maxNumber;
+}
+
+/**
+ * Renders a channel name template such as 'billing-{number}-{username}'.
+ * @param {string} template The channel name template.
+ * @param {object} values The placeholder values ({ number, username, topic }).
+ * @returns {string} A valid Discord channel name.
+ */
+function renderChannelName(template, values) {
+    const rendered = template
+        .replace(/\{number\}/g, String(values.number))
+        .replace(/\{username\}/g, values.username)
+        .replace(/\{topic\}/g, values.topic);
+
+    // Discord text channel names are lowercase, without spaces, and at most 100 characters
+    const safeName = rendered.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/-{2,}/g, '-').replace(/^-+|-+$/g, '').slice(0, 100);
+    return safeName || `ticket-${values.number}`;
+}
+
+/**
+ * Builds the intake modal for a topic from its form questions.
+ * Topics without questions use the default single description field.
+ * @param {object} topic The ticket topic.
+ * @param {string|null} panelName The panel the topic was selected from (carried through the custom ID).
+ * @returns {ModalBuilder} The intake modal.
+ */
+function buildTicketModal(topic, panelName) {
+    const modal = new ModalBuilder()
+        .setCustomId(`ticket_modal_${topic.value}${panelName ? `:${panelName}` : ''}`)
+        .setTitle(`Open Ticket: ${topic.label}`.slice(0, 45));
+
+    const questions = topic.formQuestions || [];
+    if (questions.length === 0) {
+        const descriptionInput = new TextInputBuilder()
+            .setCustomId('issue_description')
+            .setLabel('Please describe your issue (Required)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMinLength(10)
+            .setMaxLength(1000);
+
+        return modal.addComponents(new ActionRowBuilder().addComponents(descriptionInput));
+    }
+
+    questions.forEach((question, index) => {
+        const input = new TextInputBuilder()
+            .setCustomId(`form_${index}`)
+            .setLabel(question.label)
+            .setStyle(question.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+            .setRequired(question.required);
+
+        if (question.minLength) input.setMinLength(question.minLength);
+        if (question.maxLength) input.setMaxLength(question.maxLength);
+        if (question.placeholder) input.setPlaceholder(question.placeholder);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(input));
+    });
+
+    return modal;
+}
+
+/**
+ * Reads the answers of a submitted intake modal.
+ * @param {ModalSubmitInteraction} interaction The modal submit interaction.
+ * @param {object|null} topic The ticket topic the modal was built for.
+ * @returns {{issueDescription: string|null, formAnswers: object[]}} The default description or the form answers.
+ */
+function readTicketModalAnswers(interaction, topic) {
+    const fields = interaction.fields.fields;
+
+    // Modals shown before the topic's form was changed may still use the default field
+    if (fields.has('issue_description')) {
+        return { issueDescription: interaction.fields.getTextInputValue('issue_description'), formAnswers: [] };
+    }
+
+    const formAnswers = (topic?.formQuestions || [])
+        .map((question, index) => ({
+            question: question.label,
+            answer: fields.has(`form_${index}`) ? interaction.fields.getTextInputValue(`form_${index}`) : '',
+        }));
+
+    return { issueDescription: null, formAnswers };
+}
+
+/**
+ * Converts form answers into embed fields, trimmed to Discord's limits.
+ * @param {object[]} formAnswers The form answers ({ question, answer }).
+ * @returns {object[]} The embed fields.
+ */
+function formAnswerFields(formAnswers) {
+    return formAnswers.map(({ question, answer }) => ({
+        name: question.slice(0, 256),
+        value: answer ? answer.slice(0, 1024) : '*(No answer)*',
+    }));
+}
+
+/**
+ * Checks whether a member is staff for a ticket (guild support role or one of the ticket's staff roles).
+ * @param {GuildMember} member The guild member.
+ * @param {object} config The guild configuration object.
+ * @param {object|null} ticket The ticket record.
+ * @returns {boolean} True if the member may act as staff on the ticket.
+ */
+function isTicketStaff(member, config, ticket) {
+    const roleIds = [config.supportRoleId, ...(ticket?.staffRoleIds || [])].filter(Boolean);
+    return roleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+/**
+ * Sends an entry to the guild's logs channel, if one is configured.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The guild configuration object.
+ * @param {object} payload The message payload (embeds, files, ...).
+ */
+async function sendTicketLog(guild, config, payload) {
+    if (!config.logsChannelId) return;
+
+    const logsChannel = guild.channels.cache.get(config.logsChannelId);
+    if (logsChannel) {
+        await logsChannel.send(payload).catch(err => console.error('Failed to send message to logs channel:', err));
+    }
+}
+
+/**
+ * Saves a ticket's transcript to the transcript store and records where it lives.
+ * @param {object} ticket The ticket record.
+ * @param {object} transcript The rendered transcript ({ data, format }, see transcript_formats.js).
+ * @param {boolean} [staffOnly] Whether the opener must not be able to read this copy (e.g., it contains staff notes).
+ * @returns {Promise<object|null>} The updated ticket, or null if the transcript could not be stored.
+ */
+async function storeTranscript(ticket, transcript, staffOnly = false) {
+    const formatInfo = TRANSCRIPT_FORMATS[transcript.format];
+    const key = getTranscriptKey(ticket, formatInfo.extension);
+    try {
+        await transcriptStore.save(key, transcript.data, formatInfo.contentType);
+        // A reopened ticket closed in another format leaves its previous file behind
+        if (ticket.transcriptKey && ticket.transcriptKey !== key) {
+            await transcriptStore.remove(ticket.transcriptKey);
         }
+    } catch (error) {
+        console.error(`Failed to store transcript for ticket ${ticket._id}:`, error);
+        return null;
+    }
+
+    // Keep the existing token when a reopened ticket is closed again, so earlier links keep working.
+    // A staff-only copy gets a new token, since the opener may hold a link from an earlier close.
+    return updateTicket(ticket.channelId, {
+        transcriptKey: key,
+        transcriptFormat: transcript.format,
+        transcriptToken: ticket.transcriptToken && !staffOnly ? ticket.transcriptToken : crypto.randomBytes(24).toString('hex'),
+    });
+}
+
+/**
+ * Builds the web viewer URL of a stored transcript.
+ * @param {object} ticket The ticket record (with a stored transcript).
+ * @returns {string|null} The URL, or null if PUBLIC_URL is not set or there is no stored transcript.
+ */
+function getTranscriptUrl(ticket) {
+    if (!process.env.PUBLIC_URL || !ticket?.transcriptKey) return null;
+    return `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/transcripts/${ticket._id}?token=${ticket.transcriptToken}`;
+}
+
+/**
+ * Moves a closed ticket channel to the archive category and makes it read-only.
+ * The previous category and permission overwrites are stored so the ticket can be reopened.
+ * Thread tickets stay in place: the opener is removed and the thread is locked.
+ * @param {TextChannel|ThreadChannel} channel The ticket channel or thread.
+ * @param {object} ticket The ticket record.
+ * @param {object} config The guild configuration object.
+ */
+async function archiveTicketChannel(channel, ticket, config) {
+    if (channel.isThread()) {
+        await channel.members.remove(ticket.openerId).catch(() => {});
+        await channel.setLocked(true);
+        return;
+    }
+
+    const snapshot = channel.permissionOverwrites.cache.map(overwrite => ({
+        id: overwrite.id,
+        type: overwrite.type,
+        allow: overwrite.allow.bitfield.toString(),
+        deny: overwrite.deny.bitfield.toString(),
+    }));
+
+    await updateTicket(channel.id, {
+        originalCategoryId: channel.parentId,
+        archivedOverwrites: snapshot,
     });
 
-    return maxNumber + 1;
+    // Only move the channel if the archive category still exists and has room; otherwise it is archived in place
+    const archiveCategory = config.archiveCategoryId ? channel.guild.channels.cache.get(config.archiveCategoryId) : null;
+    if (archiveCategory && countCategoryChannels(channel.guild, archiveCategory.id) < MAX_CHANNELS_PER_CATEGORY) {
+        await channel.setParent(archiveCategory.id, { lockPermissions: false }).catch(error => {
+            if (!isCategoryFullError(error)) throw error;
+        });
+    }
+
+    // Remove the opener and make the channel read-only for everyone who keeps access
+    const readOnlyOverwrites = snapshot
+        .filter(overwrite => overwrite.id !== ticket.openerId)
+        .map(overwrite => {
+            const isEveryoneOrBot = overwrite.id === channel.guild.id || overwrite.id === client.user.id;
+            const deny = BigInt(overwrite.deny) | (isEveryoneOrBot ? 0n : PermissionsBitField.Flags.SendMessages);
+            const allow = BigInt(overwrite.allow) & ~deny;
+            return { id: overwrite.id, type: overwrite.type, allow, deny };
+        });
+
+    await channel.permissionOverwrites.set(readOnlyOverwrites);
+}
+
+/**
+ * Finds the active blacklist entry that applies to a member (by user ID or one of their roles).
+ * @param {object} config The guild configuration object.
+ * @param {GuildMember} member The guild member trying to open a ticket.
+ * @returns {object|null} The matching blacklist entry, or null if the member may open tickets.
+ */
+function getBlacklistEntry(config, member) {
+    const now = Date.now();
+    return (config.blacklist || []).find(entry => {
+        if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= now) return false;
+        return entry.targetType === 'user'
+            ? entry.targetId === member.id
+            : member.roles.cache.has(entry.targetId);
+    }) || null;
+}
+
+/**
+ * Builds the message shown to a blacklisted member.
+ * @param {object} entry The matching blacklist entry.
+ * @returns {string} The explanation for the member.
+ */
+function blacklistMessage(entry) {
+    let message = '🚫 You are not allowed to open tickets in this server.';
+    if (entry.reason) message += `\n**Reason:** ${entry.reason}`;
+    if (entry.expiresAt) message += `\n**Expires:** <t:${Math.floor(new Date(entry.expiresAt).getTime() / 1000)}:R>`;
+    return message;
+}
+
+// Open tickets listed when a limit is reached
+const MAX_LISTED_TICKETS = 10;
+
+/**
+ * Checks whether a user may open another ticket under the guild's limits and cooldown.
+ * Stale records (channel deleted without closing) are closed along the way.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The guild configuration object.
+ * @param {User} user The user opening the ticket.
+ * @param {object} topic The selected ticket topic.
+ * @returns {Promise<string|null>} An explanation for the user if a limit is hit, otherwise null.
+ */
+async function checkTicketLimits(guild, config, user, topic) {
+    const maxPerUser = config.maxOpenTicketsPerUser ?? 1;
+    const maxPerTopic = config.maxOpenTicketsPerTopic || 0;
+    const maxOpen = config.maxOpenTickets || 0;
+    const cooldownMinutes = config.ticketCooldownMinutes || 0;
+
+    const openTickets = [];
+    for (const openTicket of await getOpenTicketsForUser(guild.id, user.id)) {
+        if (await fetchTicketChannel(guild, openTicket)) {
+            openTickets.push(openTicket);
+        } else {
+            // The channel was deleted without closing the ticket, so the record is stale
+            await updateTicket(openTicket.channelId, { status: 'closed', closedAt: new Date() });
+        }
+    }
+
+    // The list is capped so the reply stays within Discord's 2000-character message limit
+    const listTickets = tickets => tickets
+        .slice(0, MAX_LISTED_TICKETS)
+        .map(t => `• <#${t.channelId}> — ${t.topicLabel} (#${t.ticketNumber})`)
+        .join('\n') + (tickets.length > MAX_LISTED_TICKETS ? `\n…and ${tickets.length - MAX_LISTED_TICKETS} more` : '');
+
+    if (maxPerUser > 0 && openTickets.length >= maxPerUser) {
+        return `⚠️ You can have at most **${maxPerUser}** open ticket(s) at a time. Please close one of your current tickets before opening a new one:\n${listTickets(openTickets)}`;
+    }
+
+    const topicTickets = openTickets.filter(t => t.topicValue === topic.value);
+    if (maxPerTopic > 0 && topicTickets.length >= maxPerTopic) {
+        return `⚠️ You can have at most **${maxPerTopic}** open **${topic.label}** ticket(s) at a time. Your current ${topic.label} tickets:\n${listTickets(topicTickets)}`;
+    }
+
+    if (maxOpen > 0 && await countOpenTickets(guild.id) >= maxOpen) {
+        return `⚠️ This server has reached its limit of **${maxOpen}** open tickets. Please try again later.` +
+            (openTickets.length > 0 ? `\nYour open tickets:\n${listTickets(openTickets)}` : '');
+    }
+
+    if (cooldownMinutes > 0) {
+        const lastTicket = await getLastTicketForUser(guild.id, user.id);
+        const availableAt = lastTicket ? new Date(lastTicket.createdAt).getTime() + cooldownMinutes * 60 * 1000 : 0;
+        if (availableAt > Date.now()) {
+            return `⏳ You can only open a ticket every **${cooldownMinutes}** minute(s). You can open your next ticket <t:${Math.ceil(availableAt / 1000)}:R>.` +
+                (openTickets.length > 0 ? `\nYour open tickets:\n${listTickets(openTickets)}` : '');
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Adds the members of staff roles to a private thread. Mentioning a role in a private thread adds its members,
+ * but only if the bot may mention that role (Mention Everyone, or a mentionable role); members of the other roles
+ * are added one by one here. Callers still mention every role.
+ * @param {ThreadChannel} thread The private thread.
+ * @param {string[]} roleIds The staff role IDs.
+ */
+async function addStaffToThread(thread, roleIds) {
+    const guild = thread.guild;
+    const canMentionAll = thread.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.MentionEveryone);
+    const unmentionable = roleIds.filter(roleId => !canMentionAll && !guild.roles.cache.get(roleId)?.mentionable);
+    if (unmentionable.length === 0) return;
+
+    // Role member lists only cover cached members
+    await guild.members.fetch().catch(error => console.error('Error fetching members for a ticket thread:', error));
+    const memberIds = new Set(unmentionable.flatMap(roleId => [...(guild.roles.cache.get(roleId)?.members.keys() || [])]));
+    for (const memberId of memberIds) {
+        await thread.members.add(memberId).catch(() => {});
+    }
+}
+
+/**
+ * Removes the members of a ticket thread who only had access through staff roles that no longer handle it
+ * (the thread counterpart of deleting the old roles' overwrites on a transfer).
+ * @param {ThreadChannel} thread The ticket thread.
+ * @param {string[]} oldRoleIds The previous staff role IDs.
+ * @param {string[]} newRoleIds The new staff role IDs.
+ * @param {string[]} keepIds Users who stay regardless of their roles (e.g., the opener and the claimer).
+ */
+async function removeStaffFromThread(thread, oldRoleIds, newRoleIds, keepIds) {
+    if (oldRoleIds.length === 0) return;
+
+    const threadMembers = await thread.members.fetch();
+    for (const memberId of threadMembers.keys()) {
+        if (memberId === client.user.id || keepIds.includes(memberId)) continue;
+
+        const member = await thread.guild.members.fetch(memberId).catch(() => null);
+        if (!member) continue;
+        const hadOldRole = oldRoleIds.some(roleId => member.roles.cache.has(roleId));
+        const hasNewRole = newRoleIds.some(roleId => member.roles.cache.has(roleId));
+        if (hadOldRole && !hasNewRole) {
+            await thread.members.remove(memberId).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Opens a ticket as a private thread in the routing's thread channel (thread mode).
+ * Staff join through the role mentions of the welcome message, or are added by addStaffToThread.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} routing The routing for the ticket (see resolveTicketRouting).
+ * @param {User} user The user opening the ticket.
+ * @param {string} name The thread name.
+ * @param {number} ticketNumber The ticket number.
+ * @param {boolean} [addOpener] Whether to add the opener to the thread (modmail openers talk through the bot instead).
+ * @returns {Promise<ThreadChannel>} The ticket thread.
+ */
+async function createTicketThread(guild, routing, user, name, ticketNumber, addOpener = true) {
+    const parent = guild.channels.cache.get(routing.threadChannelId);
+    if (!parent) {
+        throw new Error(`The thread channel ${routing.threadChannelId} no longer exists.`);
+    }
+
+    const thread = await parent.threads.create({
+        name: name,
+        type: ChannelType.PrivateThread,
+        invitable: false, // Only moderators can add people, so the opener cannot invite others
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+        reason: `Ticket #${ticketNumber} opened by ${user.tag}`,
+    });
+    if (addOpener) {
+        await thread.members.add(user.id);
+    }
+    await addStaffToThread(thread, routing.staffRoleIds);
+    return thread;
 }
 
 // --- TICKET HANDLERS ---
 
+// Members whose ticket is being opened (per guild), so a double-submitted modal or two panels clicked
+// together cannot both pass the open-ticket limits before either ticket exists
+const ticketOpenings = new Set();
+
 /**
- * Handles the creation of a new ticket channel.
- * @param {Interaction} interaction The interaction object (button click or modal submit).
+ * Opens a new ticket: checks the blacklist, routing and limits, then creates the channel (or thread),
+ * the ticket record and the welcome message. Shared by the ticket panels and modmail.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {GuildMember} member The member opening the ticket.
  * @param {string} topicValue The value of the selected ticket topic.
- * @param {string} [issueDescription] Optional description from the modal.
+ * @param {object} [options] Optional details: issueDescription, panelName (null for legacy panels and modmail),
+ * formAnswers ({ question, answer }) and modmail (opened by DM, so the opener gets no access to the channel).
+ * @returns {Promise<{ticket: object|null, channel: TextChannel|ThreadChannel|null, error: string|null}>} The new ticket, or an explanation for the user.
  */
-async function handleTicketCreation(interaction, topicValue, issueDescription = null) {
-    const guild = interaction.guild;
-    const user = interaction.user;
+async function openTicket(guild, member, topicValue, options = {}) {
+    const lockKey = `${guild.id}:${member.id}`;
+    if (ticketOpenings.has(lockKey)) {
+        return { ticket: null, channel: null, error: '⚠️ Your previous ticket is still being opened. Please wait a moment.' };
+    }
+    ticketOpenings.add(lockKey);
+    try {
+        return await createMemberTicket(guild, member, topicValue, options);
+    } finally {
+        ticketOpenings.delete(lockKey);
+    }
+}
+
+/**
+ * Opens the ticket once openTicket holds the member's lock (see openTicket for the parameters).
+ * @param {Guild} guild The Discord Guild object.
+ * @param {GuildMember} member The member opening the ticket.
+ * @param {string} topicValue The value of the selected ticket topic.
+ * @param {object} options The optional details passed to openTicket.
+ * @returns {Promise<{ticket: object|null, channel: TextChannel|ThreadChannel|null, error: string|null}>} The new ticket, or an explanation for the user.
+ */
+async function createMemberTicket(guild, member, topicValue, options) {
+    const { issueDescription = null, panelName = null, formAnswers = [], modmail = false } = options;
+    const user = member.user;
     const config = await getGuildConfig(guild.id);
+    const failure = message => ({ ticket: null, channel: null, error: message });
 
-    if (!config.categoryId || !config.supportRoleId) {
-        return interaction.editReply({ 
-            content: '❌ The ticketing system is not fully configured for this server. Please run `/ticket-config` first.', 
-            ephemeral: true 
-        }).catch(() => {});
+    const blacklistEntry = getBlacklistEntry(config, member);
+    if (blacklistEntry) {
+        return failure(blacklistMessage(blacklistEntry));
     }
 
-    const topic = config.ticketTopics.find(t => t.value === topicValue);
-    if (!topic) {
-        return interaction.editReply({ 
-            content: '❌ Invalid ticket topic selected.', 
-            ephemeral: true 
-        }).catch(() => {});
+    const { topic, panel, error } = resolvePanelTopic(config, topicValue, panelName);
+    if (error) {
+        return failure(error);
     }
-    
-    // Check if user already has an open ticket for this guild
-    const existingTicket = guild.channels.cache.find(c => 
-        c.name.startsWith('ticket-') && c.topic?.includes(`UserID: ${user.id}`)
-    );
 
-    if (existingTicket) {
-        return interaction.editReply({
-            content: `⚠️ You already have an open ticket: ${existingTicket}. Please close your current ticket before opening a new one.`,
-            ephemeral: true
-        }).catch(() => {});
+    const routing = resolveTicketRouting(config, panel, topic);
+    const ticketLocation = routing.mode === 'thread' ? routing.threadChannelId : routing.categoryId;
+    if (!ticketLocation || routing.staffRoleIds.length === 0) {
+        return failure('❌ The ticketing system is not fully configured for this server. Please run `/ticket-config` first.');
+    }
+    
+    // Check the configured open-ticket limits and cooldown
+    const limitError = await checkTicketLimits(guild, config, user, topic);
+    if (limitError) {
+        return failure(limitError);
     }
 
-    const ticketNumber = getNextTicketNumber(guild, config.categoryId);
-    const channelName = `ticket-${ticketNumber}`;
+    // Threads have no per-category limit; channels spill over into the overflow categories
+    if (routing.mode !== 'thread') {
+        const placement = await resolveTicketCategory(guild, config, routing.categoryId);
+        if (placement.error) {
+            return failure(placement.error);
+        }
+    }
 
     try {
-        const ticketChannel = await guild.channels.create({
+        const ticketNumber = await getNextTicketNumber(guild.id, () => getLegacyTicketNumber(guild));
+        const priority = topic.defaultPriority || 'normal';
+        const channelName = applyPriorityPrefix(renderChannelName(routing.nameTemplate, {
+            number: ticketNumber,
+            username: user.username,
+            topic: topic.value,
+        }), priority);
+
+        // Channel tickets go through placeTicketChannel, which moves on to the next category if this one fills up meanwhile
+        const createChannel = categoryId => guild.channels.create({
             name: channelName,
             type: ChannelType.GuildText,
-            parent: config.categoryId,
-            topic: `Ticket ID: ${channelName} | UserID: ${user.id} | Topic: ${topic.label}`,
+            parent: categoryId,
+            topic: buildChannelTopic({ ticketNumber, openerId: user.id, topicLabel: topic.label }),
             permissionOverwrites: [
                 // Deny @everyone from viewing the channel
                 {
                     id: guild.id,
                     deny: [PermissionsBitField.Flags.ViewChannel],
                 },
-                // Allow the user to view, send messages, attach files
-                {
+                // Allow the user to view, send messages, attach files (modmail openers talk through the bot instead)
+                ...(modmail ? [] : [{
                     id: user.id,
                     allow: [
                         PermissionsBitField.Flags.ViewChannel,
                         PermissionsBitField.Flags.SendMessages,
                         PermissionsBitField.Flags.AttachFiles
                     ],
-                },
-                // Allow the support role to view, send messages, manage channel (for closing)
-                {
-                    id: config.supportRoleId,
-                    allow: [
-                        PermissionsBitField.Flags.ViewChannel,
-                        PermissionsBitField.Flags.SendMessages,
-                        PermissionsBitField.Flags.AttachFiles,
-                        PermissionsBitField.Flags.ManageChannels // For closing/locking
-                    ],
-                },
+                }]),
+                // Allow the staff roles to view, send messages, manage channel (for closing)
+                ...routing.staffRoleIds.map(roleId => ({
+                    id: roleId,
+                    allow: STAFF_ROLE_PERMISSIONS,
+                })),
                 // Deny the bot itself from seeing the channel if it's not needed (optional, but good practice)
                 {
                     id: client.user.id,
@@ -181,48 +903,72 @@ async function handleTicketCreation(interaction, topicValue, issueDescription =
                 }
             ],
         });
-        
 
-        // Confirmation embed for the ticket channel
-        const welcomeEmbed = new EmbedBuilder()
-            .setColor(0x0099FF)
-            .setTitle(`${topic.emoji ? topic.emoji : '🎫'} New Ticket Opened: ${topic.label}`)
-            .setDescription(
-                `Welcome ${user}! A member of the <@&${config.supportRoleId}> team will be with you shortly. 
-                \n**Issue:** ${issueDescription ? issueDescription : '*(No description provided)*'}`
+        let ticketChannel;
+        if (routing.mode === 'thread') {
+            ticketChannel = await createTicketThread(guild, routing, user, channelName, ticketNumber, !modmail);
+        } else {
+            const { result, error } = await placeTicketChannel(guild, config, routing.categoryId, createChannel);
+            if (error) {
+                return failure(error);
+            }
+            ticketChannel = result;
+        }
+
+        // Persist the ticket record; without it the channel would be unmanageable
+        let ticket;
+        try {
+            ticket = await createTicket({
+                guildId: guild.id,
+                channelId: ticketChannel.id,
+                ticketNumber: ticketNumber,
+                isThread: ticketChannel.isThread(),
+                modmail: modmail,
+                openerId: user.id,
+                topicValue: topic.value,
+                topicLabel: topic.label,
+                panelName: panel ? panel.name : null,
+                issueDescription: issueDescription,
+                formAnswers: formAnswers,
+                priority: priority,
+                staffRoleIds: routing.staffRoleIds,
+            });
+        } catch (error) {
+            await ticketChannel.delete().catch(() => {});
+            throw error;
+        }
+
+        // Confirmation embed for the ticket channel
+        const staffMentions = routing.staffRoleIds.map(roleId => `<@&${roleId}>`).join(' ');
+        const welcomeEmbed = new EmbedBuilder()
+            .setColor(TICKET_PRIORITIES[priority].color)
+            .setTitle(`${topic.emoji ? topic.emoji : '🎫'} New Ticket Opened: ${topic.label}`)
+            .setDescription(modmail
+                ? `📨 ${user} opened this ticket by direct message. Their messages appear below, and messages the ${staffMentions} team sends here are relayed to them ` +
+                    `${config.modmailAnonymous ? 'under the server\'s name' : 'with the sender\'s name'}. Use \`/ticket-note\` for anything they should not see.`
+                : formAnswers.length > 0
+                    ? `Welcome ${user}! A member of the ${staffMentions} team will be with you shortly.`
+                    : `Welcome ${user}! A member of the ${staffMentions} team will be with you shortly. 
+                \n**Issue:** ${issueDescription ? issueDescription : '*(No description provided)*'}`
             )
             .addFields(
                 { name: 'Opened By', value: `<@${user.id}>`, inline: true },
                 { name: 'Topic', value: topic.label, inline: true },
+                { name: 'Priority', value: `${TICKET_PRIORITIES[priority].emoji} ${TICKET_PRIORITIES[priority].label}`, inline: true },
+                ...formAnswerFields(formAnswers),
             )
             .setTimestamp();
             
-        // Buttons for staff
-        const actionRow = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('ticket_claim')
-                    .setLabel('Claim Ticket')
-                    .setStyle(ButtonStyle.Success)
-                    .setEmoji('🙋‍♂️'),
-                new ButtonBuilder()
-                    .setCustomId('ticket_close_confirm')
-                    .setLabel('Close')
-                    .setStyle(ButtonStyle.Danger)
-                    .setEmoji('🔒'),
-            );
-        
-        await ticketChannel.send({ 
-            content: `<@${user.id}> <@&${config.supportRoleId}>`, 
-            embeds: [welcomeEmbed], 
-            components: [actionRow] 
-        });
+        // Urgent tickets optionally ping the escalation role as well
+        const escalationMention = priority === 'urgent' && config.escalationRoleId ? ` <@&${config.escalationRoleId}>` : '';
 
-        // Confirmation reply to the user who opened the ticket
-        await interaction.editReply({ 
-            content: `✅ Your ticket has been created! Head over to ${ticketChannel}.`, 
-            ephemeral: true 
+        const welcomeMessage = await ticketChannel.send({ 
+            content: modmail ? `${staffMentions}${escalationMention}` : `<@${user.id}> ${staffMentions}${escalationMention}`, 
+            embeds: [welcomeEmbed], 
+            components: buildWelcomeComponents({ claimedBy: null, priority: priority }) 
         });
+        await updateTicket(ticketChannel.id, { welcomeMessageId: welcomeMessage.id });
+        publishTicketEvent('opened', ticket, { openedBy: user.id });
 
         // Send log entry (optional)
         if (config.logsChannelId) {
@@ -231,21 +977,42 @@ async function handleTicketCreation(interaction, topicValue, issueDescription =
                 const logEmbed = new EmbedBuilder()
                     .setColor(ButtonStyle.Success)
                     .setTitle(`Ticket Opened (#${ticketNumber})`)
-                    .setDescription(`**User:** <@${user.id}>\n**Channel:** ${ticketChannel}\n**Topic:** ${topic.label}`)
+                    .setDescription(`**User:** <@${user.id}>\n**Channel:** ${ticketChannel}\n**Topic:** ${topic.label}` +
+                        (modmail ? '\n**Opened via:** Direct message' : ''))
                     .setTimestamp();
                 await logsChannel.send({ embeds: [logEmbed] }).catch(() => console.error("Could not send log message."));
             }
         }
 
+        return { ticket: ticket, channel: ticketChannel, error: null };
     } catch (error) {
         console.error('Error creating ticket channel:', error);
-        await interaction.editReply({ 
-            content: '❌ There was an error creating your ticket. Please try again or contact a server admin.', 
-            ephemeral: true 
-        }).catch(() => {});
+        return failure('❌ There was an error creating your ticket. Please try again or contact a server admin.');
     }
 }
 
+/**
+ * Handles the creation of a new ticket channel from a panel.
+ * @param {Interaction} interaction The interaction object (button click or modal submit).
+ * @param {string} topicValue The value of the selected ticket topic.
+ * @param {string} [issueDescription] Optional description from the modal.
+ * @param {string|null} [panelName] The panel the ticket was opened from (null for legacy panels).
+ * @param {object[]} [formAnswers] Answers to the topic's intake form ({ question, answer }).
+ */
+async function handleTicketCreation(interaction, topicValue, issueDescription = null, panelName = null, formAnswers = []) {
+    const { channel, error } = await openTicket(interaction.guild, interaction.member, topicValue, {
+        issueDescription: issueDescription,
+        panelName: panelName,
+        formAnswers: formAnswers,
+    });
+
+    // Confirmation reply to the user who opened the ticket
+    await interaction.editReply({ 
+        content: error || `✅ Your ticket has been created! Head over to ${channel}.`, 
+        ephemeral: true 
+    }).catch(() => {});
+}
+
 
 /**
  * Handles the confirmation process for closing a ticket.
@@ -254,9 +1021,15 @@ async function handleTicketCreation(interaction, topicValue, issueDescription =
 async function handleCloseTicketConfirm(interaction) {
     const channel = interaction.channel;
     const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
     
-    // Check if the channel is a ticket channel and user is support staff
-    if (!channel.name.startsWith('ticket-') || !interaction.member.roles.cache.has(config.supportRoleId)) {
+    if (ticket && ticket.status === 'open' && interaction.user.id === ticket.openerId && !isTicketStaff(interaction.member, config, ticket)) {
+        // The opener cannot close directly; the button asks staff to close instead
+        return handleCloseRequest(interaction, null);
+    }
+
+    // Check if the channel is an open ticket and user is support staff
+    if (!ticket || ticket.status !== 'open' || !isTicketStaff(interaction.member, config, ticket)) {
         return interaction.reply({ content: '❌ This command can only be used by support staff in a ticket channel.', ephemeral: true });
     }
 
@@ -281,20 +1054,147 @@ async function handleCloseTicketConfirm(interaction) {
     });
 }
 
+/**
+ * Builds the modal asking for an (optional) close reason.
+ * @param {object} config The guild configuration object (its preset reasons are suggested).
+ * @returns {ModalBuilder} The close reason modal.
+ */
+function buildCloseReasonModal(config) {
+    const modal = new ModalBuilder()
+        .setCustomId('ticket_close_reason_modal')
+        .setTitle('Close Ticket');
+
+    const reasonInput = new TextInputBuilder()
+        .setCustomId('close_reason')
+        .setLabel('Reason (optional)')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(500)
+        .setRequired(false);
+
+    if (config.closeReasons.length > 0) {
+        reasonInput.setPlaceholder(`e.g., ${config.closeReasons.join(', ')}`.slice(0, 100));
+    }
+
+    modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+    return modal;
+}
+
+/**
+ * Closes a ticket: creates the transcript, logs it, DMs the opener and archives or deletes the channel.
+ * This is the shared close path used by staff commands and the inactivity scheduler.
+ * @param {TextChannel} channel The ticket channel.
+ * @param {object} ticket The ticket record.
+ * @param {object} config The guild configuration object.
+ * @param {User} closedBy The user (or the bot itself) closing the ticket.
+ * @param {boolean} [silent] Whether to suppress the final message in the ticket channel.
+ * @param {string|null} [reason] Why the ticket was closed.
+ */
+async function closeTicket(channel, ticket, config, closedBy, silent = false, reason = null) {
+    const guild = channel.guild;
+
+    // The opener's copy leaves out the staff notes (and the stored copy's link, which includes them).
+    // Modmail openers get their DM conversation instead, so anonymous staff replies stay anonymous.
+    const hasNotes = ticket.notes?.length > 0;
+    const openerGetsLink = !hasNotes && !ticket.modmail;
+
+    // 1. Generate and store the staff Transcript (the attachment is kept alongside the web link)
+    const transcript = await generateTranscript(channel, ticket, config.transcriptFormat, true);
+    const transcriptFile = new AttachmentBuilder(transcript.data, { name: transcript.fileName });
+    const transcriptUrl = getTranscriptUrl(await storeTranscript(ticket, transcript, !openerGetsLink));
+
+    const ticketUser = await client.users.fetch(ticket.openerId).catch(() => null);
+
+    let userTranscriptFile = transcriptFile;
+    if (ticket.modmail) {
+        const dmTranscript = ticketUser
+            ? await ticketUser.createDM()
+                .then(dmChannel => generateTranscript(dmChannel, ticket, config.transcriptFormat, false, ticket.modmailStartedAt || ticket.createdAt))
+                .catch(error => console.error(`Could not generate the DM transcript of ticket #${ticket.ticketNumber}:`, error))
+            : null;
+        userTranscriptFile = dmTranscript ? new AttachmentBuilder(dmTranscript.data, { name: transcript.fileName }) : null;
+    } else if (hasNotes) {
+        userTranscriptFile = new AttachmentBuilder(transcript.openerData, { name: transcript.fileName });
+    }
+    const userTranscriptUrl = openerGetsLink ? transcriptUrl : null;
+
+    // 2. Send Log/Transcript
+    const logEmbed = new EmbedBuilder()
+        .setColor(ButtonStyle.Danger)
+        .setTitle(`Ticket Closed (#${ticket.ticketNumber}): ${channel.name}`)
+        .setDescription(`**User:** ${ticketUser ? `<@${ticketUser.id}>` : 'Unknown'}\n**Closed By:** <@${closedBy.id}>\n**Reason:** ${reason || '*No reason provided*'}\n**Channel ID:** ${channel.id}` +
+            (transcriptUrl ? `\n**Transcript:** [View online](${transcriptUrl})` : ''))
+        .addFields(formAnswerFields(ticket.formAnswers || []).slice(0, 25))
+        .setTimestamp();
+
+    await sendTicketLog(guild, config, { 
+        embeds: [logEmbed], 
+        files: [transcriptFile] 
+    });
+
+    // 3. Notify User via DM
+    if (ticketUser) {
+        const dmEmbed = new EmbedBuilder()
+            .setColor(ButtonStyle.Danger)
+            .setTitle(`Ticket Closed in ${guild.name}`)
+            .setDescription(
+                `Your ticket #${ticket.ticketNumber} (${channel.name}) has been closed by ${ticket.modmail && config.modmailAnonymous ? 'staff' : `<@${closedBy.id}>`}.` +
+                (reason ? `\n**Reason:** ${reason}` : '') +
+                (userTranscriptUrl ? `\n**Transcript:** [View online](${userTranscriptUrl})` : '') +
+                (ticket.modmail ? '\n\nYour messages are no longer forwarded to staff. Send me a new message if you need help again.' : '') +
+                '\n\nHow did we do? Rate your support experience below.'
+            )
+            .setTimestamp();
+
+        await ticketUser.send({ embeds: [dmEmbed], files: userTranscriptFile ? [userTranscriptFile] : [], components: buildRatingComponents(ticket._id) })
+            .catch(() => console.log(`Could not DM user ${ticketUser.tag} the transcript.`));
+    }
+
+    // 4. Mark the ticket record as closed (archived tickets keep their channel)
+    const archive = config.closeMode === 'archive';
+    const closedTicket = await updateTicket(channel.id, { status: archive ? 'archived' : 'closed', closedBy: closedBy.id, closedAt: new Date(), closeReason: reason, closeRequest: null });
+    publishTicketEvent('closed', closedTicket || ticket, { closedBy: closedBy.id, reason: reason, transcriptUrl: transcriptUrl });
+
+    // 5. Notify Ticket Channel, then Archive or Delete
+    if (!silent) {
+        const closingEmbed = new EmbedBuilder()
+            .setColor(ButtonStyle.Danger)
+            .setDescription(
+                `✅ Ticket closed by <@${closedBy.id}>.` +
+                (reason ? ` **Reason:** ${reason}` : '') +
+                (archive
+                    ? ' This channel has been archived; staff can use `/ticket-reopen` to reopen it.'
+                    : ' Deleting channel in 5 seconds...')
+            );
+        
+        // Send the final message in the ticket channel (not ephemeral)
+        await channel.send({ embeds: [closingEmbed] });
+    }
+
+    if (archive) {
+        await archiveTicketChannel(channel, ticket, config);
+    } else {
+        // Delete channel after a short delay
+        setTimeout(() => {
+            channel.delete().catch(err => console.error(`Failed to delete channel ${channel.name}:`, err));
+        }, 5000);
+    }
+}
+
 /**
  * Handles the final process of closing a ticket, archiving, and logging.
  * @param {Interaction} interaction The button interaction or slash command.
  * @param {boolean} silent Whether to suppress the transcript/log message in the ticket channel.
+ * @param {string|null} [reason] Why the ticket is being closed.
  */
-async function handleCloseTicket(interaction, silent = false) {
+async function handleCloseTicket(interaction, silent = false, reason = null) {
     const channel = interaction.channel;
-    const guild = interaction.guild;
-    const user = interaction.user;
-    const config = await getGuildConfig(guild.id);
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
     
-    // Check if the channel is a ticket channel
-    if (!channel.name.startsWith('ticket-')) {
-        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    // Check if the channel is an open ticket
+    if (!ticket || ticket.status !== 'open') {
+        const content = '❌ This command must be used in an open ticket channel.';
+        return interaction.deferred ? interaction.editReply({ content, components: [] }) : interaction.reply({ content, ephemeral: true });
     }
     
     // Defer the reply to buy time for the transcript generation
@@ -307,55 +1207,7 @@ async function handleCloseTicket(interaction, silent = false) {
 
 
     try {
-        // 1. Generate Transcript
-        const transcriptFile = await createTranscript(channel, {
-            limit: -1, // No message limit
-            saveImages: true,
-            poweredBy: false,
-            fileName: `${channel.name}.html`,
-        });
-
-        const ticketUserMatch = channel.topic?.match(/UserID: (\d+)/);
-        const ticketUser = ticketUserMatch ? await client.users.fetch(ticketUserMatch[1]) : null;
-
-        // 2. Send Log/Transcript
-        if (config.logsChannelId) {
-            const logsChannel = guild.channels.cache.get(config.logsChannelId);
-            if (logsChannel) {
-                const logEmbed = new EmbedBuilder()
-                    .setColor(ButtonStyle.Danger)
-                    .setTitle(`Ticket Closed: ${channel.name}`)
-                    .setDescription(`**User:** ${ticketUser ? `<@${ticketUser.id}>` : 'Unknown'}\n**Closed By:** <@${user.id}>\n**Channel ID:** ${channel.id}`)
-                    .setTimestamp();
-                
-                await logsChannel.send({ 
-                    embeds: [logEmbed], 
-                    files: [transcriptFile] 
-                }).catch(err => console.error("Failed to send transcript/log to logs channel:", err));
-            }
-        }
-
-        // 3. Notify User via DM
-        if (ticketUser) {
-            const dmEmbed = new EmbedBuilder()
-                .setColor(ButtonStyle.Danger)
-                .setTitle(`Ticket Closed in ${guild.name}`)
-                .setDescription(`Your ticket (${channel.name}) has been closed by <@${user.id}>.`)
-                .setTimestamp();
-
-            await ticketUser.send({ embeds: [dmEmbed], files: [transcriptFile] })
-                .catch(() => console.log(`Could not DM user ${ticketUser.tag} the transcript.`));
-        }
-
-        // 4. Notify Ticket Channel and Delete
-        if (!silent) {
-            const closingEmbed = new EmbedBuilder()
-                .setColor(ButtonStyle.Danger)
-                .setDescription(`✅ Ticket closed by <@${user.id}>. Deleting channel in 5 seconds...`);
-            
-            // Send the final message in the ticket channel (not ephemeral)
-            await channel.send({ embeds: [closingEmbed] });
-        }
+        await closeTicket(channel, ticket, config, interaction.user, silent, reason);
         
         // Final success reply to the staff member
         await interaction.editReply({ 
@@ -363,11 +1215,6 @@ async function handleCloseTicket(interaction, silent = false) {
             components: [] // Remove components if it was a button interaction
         });
 
-        // Delete channel after a short delay
-        setTimeout(() => {
-            channel.delete().catch(err => console.error(`Failed to delete channel ${channel.name}:`, err));
-        }, 5000);
-
     } catch (error) {
         console.error('Error during ticket closing process:', error);
         await interaction.editReply({ 
@@ -378,79 +1225,886 @@ async function handleCloseTicket(interaction, silent = false) {
 }
 
 /**
- * Handles claiming a ticket by setting the topic and sending a confirmation.
+ * Posts a close request in a ticket channel.
+ * A request from the opener pings staff to confirm; a request from staff pings the opener to confirm.
+ * @param {Interaction} interaction The slash command or button interaction.
+ * @param {string|null} reason The reason given for closing.
+ */
+async function handleCloseRequest(interaction, reason) {
+    const channel = interaction.channel;
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
+    }
+    // A modmail opener cannot see the ticket channel, so there is nobody to confirm the request there
+    if (ticket.modmail) {
+        return interaction.reply({ content: '❌ Close requests are not available in modmail tickets. Staff can use `/ticket-close` instead.', ephemeral: true });
+    }
+
+    const isStaff = isTicketStaff(interaction.member, config, ticket);
+    if (!isStaff && interaction.user.id !== ticket.openerId) {
+        return interaction.reply({ content: '❌ Only the ticket opener or support staff can request to close this ticket.', ephemeral: true });
+    }
+    if (ticket.closeRequest) {
+        return interaction.reply({ content: '⚠️ A close request is already pending in this ticket.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    // Ping whoever has to confirm: the claimer (or staff roles) for an opener request, the opener for a staff request
+    let ping;
+    if (isStaff) {
+        ping = `<@${ticket.openerId}>`;
+    } else if (ticket.claimedBy) {
+        ping = `<@${ticket.claimedBy}>`;
+    } else {
+        ping = [config.supportRoleId, ...(ticket.staffRoleIds || [])].filter(Boolean).map(roleId => `<@&${roleId}>`).join(' ');
+    }
+
+    const requestEmbed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle('🔒 Close Requested')
+        .setDescription(
+            `<@${interaction.user.id}> has requested to close this ticket.` +
+            (reason ? `\n**Reason:** ${reason}` : '') +
+            (isStaff ? '\n\nIf your issue is resolved, please confirm below.' : '\n\nA staff member can confirm or deny this request below.')
+        )
+        .setTimestamp();
+
+    const requestRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('ticket_close_request_accept')
+                .setLabel('Close Ticket')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🔒'),
+            new ButtonBuilder()
+                .setCustomId('ticket_close_request_deny')
+                .setLabel('Keep Open')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('✖️'),
+        );
+
+    const requestMessage = await channel.send({ content: ping || null, embeds: [requestEmbed], components: [requestRow] });
+    await updateTicket(channel.id, {
+        closeRequest: { requestedBy: interaction.user.id, reason: reason, requestedAt: new Date(), messageId: requestMessage.id },
+    });
+
+    await interaction.editReply({ content: '✅ Your close request has been posted.' });
+}
+
+/**
+ * Handles the Close/Keep Open buttons of a close request.
+ * Staff can always answer; the opener can only answer a request made by staff.
+ * @param {Interaction} interaction The button interaction.
+ * @param {boolean} accept Whether the request was accepted.
+ */
+async function handleCloseRequestResponse(interaction, accept) {
+    const channel = interaction.channel;
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open' || !ticket.closeRequest || ticket.closeRequest.messageId !== interaction.message.id) {
+        return interaction.reply({ content: '❌ This close request is no longer active.', ephemeral: true });
+    }
+
+    const isStaff = isTicketStaff(interaction.member, config, ticket);
+    const openerAnswering = interaction.user.id === ticket.openerId && ticket.closeRequest.requestedBy !== ticket.openerId;
+    if (!isStaff && !openerAnswering) {
+        return interaction.reply({ content: '❌ You cannot answer this close request.', ephemeral: true });
+    }
+
+    if (!accept) {
+        await updateTicket(channel.id, { closeRequest: null });
+        const deniedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
+            .setColor(0x95A5A6)
+            .setFooter({ text: `Kept open by ${interaction.user.username}` });
+        return interaction.update({ embeds: [deniedEmbed], components: [] });
+    }
+
+    // Remove the buttons before the close process starts so they cannot be clicked twice
+    await interaction.update({ components: [] });
+
+    try {
+        await closeTicket(channel, ticket, config, interaction.user, false, ticket.closeRequest.reason || 'Close requested');
+    } catch (error) {
+        console.error('Error closing ticket from a close request:', error);
+        await interaction.followUp({ content: '❌ An error occurred during the closing process. Check console for details.', ephemeral: true }).catch(() => {});
+    }
+}
+
+/**
+ * Handles reopening an archived ticket, restoring its original category and permissions.
+ * @param {Interaction} interaction The slash command interaction.
+ */
+async function handleReopenTicket(interaction) {
+    const channel = interaction.channel;
+    const guild = interaction.guild;
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'archived') {
+        return interaction.reply({ content: '❌ This command must be used in an archived ticket channel.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const config = await getGuildConfig(guild.id);
+
+    try {
+        if (channel.isThread()) {
+            // Unarchive first: archived threads cannot be edited. A ticket locked before closing stays locked.
+            if (channel.archived) await channel.setArchived(false);
+            await channel.setLocked(Boolean(ticket.locked));
+            if (!ticket.modmail) {
+                await channel.members.add(ticket.openerId);
+            }
+        } else {
+            // Restore the category first, so lockPermissions cannot overwrite the restored permissions.
+            // It may have filled up while the ticket was archived, in which case an overflow category is used.
+            if (ticket.originalCategoryId && guild.channels.cache.has(ticket.originalCategoryId)) {
+                const { error } = await placeTicketChannel(guild, config, ticket.originalCategoryId,
+                    categoryId => channel.setParent(categoryId, { lockPermissions: false }));
+                if (error) {
+                    return interaction.editReply({ content: error });
+                }
+            }
+
+            await channel.permissionOverwrites.set(ticket.archivedOverwrites.map(overwrite => ({
+                id: overwrite.id,
+                type: overwrite.type,
+                allow: BigInt(overwrite.allow),
+                deny: BigInt(overwrite.deny),
+            })));
+        }
+
+        await updateTicket(channel.id, {
+            status: 'open',
+            closedBy: null,
+            closedAt: null,
+            originalCategoryId: null,
+            archivedOverwrites: [],
+        });
+
+        const reopenEmbed = new EmbedBuilder()
+            .setColor(ButtonStyle.Success)
+            .setDescription(`🔓 Ticket reopened by <@${interaction.user.id}>.`);
+        await channel.send({ content: `<@${ticket.openerId}>`, embeds: [reopenEmbed] });
+
+        const logEmbed = new EmbedBuilder()
+            .setColor(ButtonStyle.Success)
+            .setTitle(`Ticket Reopened (#${ticket.ticketNumber})`)
+            .setDescription(`**User:** <@${ticket.openerId}>\n**Reopened By:** <@${interaction.user.id}>\n**Channel:** ${channel}`)
+            .setTimestamp();
+        await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+        await interaction.editReply({ content: `✅ Ticket ${channel.name} has been reopened.` });
+
+    } catch (error) {
+        console.error('Error reopening ticket:', error);
+        await interaction.editReply({ content: '❌ An error occurred while reopening the ticket. Ensure the bot has the `Manage Channels` and `Manage Roles` (or, for threads, `Manage Threads`) permissions.' }).catch(() => {});
+    }
+}
+
+/**
+ * Handles permanently deleting an archived ticket channel.
+ * @param {Interaction} interaction The slash command interaction.
+ */
+async function handleDeleteTicket(interaction) {
+    const channel = interaction.channel;
+    const guild = interaction.guild;
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket) {
+        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    }
+
+    if (ticket.status === 'open') {
+        return interaction.reply({ content: '❌ This ticket is still open. Close it with `/ticket-close` first so a transcript is created.', ephemeral: true });
+    }
+
+    const config = await getGuildConfig(guild.id);
+    await updateTicket(channel.id, { status: 'closed' });
+
+    const logEmbed = new EmbedBuilder()
+        .setColor(ButtonStyle.Danger)
+        .setTitle(`Ticket Deleted (#${ticket.ticketNumber}): ${channel.name}`)
+        .setDescription(`**User:** <@${ticket.openerId}>\n**Deleted By:** <@${interaction.user.id}>\n**Channel ID:** ${channel.id}`)
+        .setTimestamp();
+    await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+    const embed = new EmbedBuilder()
+        .setColor(ButtonStyle.Danger)
+        .setDescription(`🗑️ Ticket deleted by <@${interaction.user.id}>. Deleting channel in 5 seconds...`);
+    await interaction.reply({ embeds: [embed] });
+
+    // Delete channel after a short delay
+    setTimeout(() => {
+        channel.delete().catch(err => console.error(`Failed to delete channel ${channel.name}:`, err));
+    }, 5000);
+}
+
+/**
+ * Creates an on-demand transcript of the current ticket without closing it.
+ * @param {Interaction} interaction The slash command interaction.
+ * @param {string|null} format The format key (defaults to the guild's transcript format).
+ */
+async function handleTranscriptExport(interaction, format) {
+    const channel = interaction.channel;
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket) {
+        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    }
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can create transcripts.', ephemeral: true });
+    }
+
+    // Defer the reply to buy time for the transcript generation
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        const transcript = await generateTranscript(channel, ticket, format || config.transcriptFormat, true);
+        await interaction.editReply({
+            content: `✅ ${TRANSCRIPT_FORMATS[transcript.format].label} transcript of ticket #${ticket.ticketNumber}.`,
+            files: [new AttachmentBuilder(transcript.data, { name: transcript.fileName })],
+        });
+    } catch (error) {
+        console.error('Error creating on-demand transcript:', error);
+        await interaction.editReply('❌ An error occurred while creating the transcript. Check console for details.');
+    }
+}
+
+// --- STAFF NOTES ---
+// Notes live on the ticket record, so they never appear in the channel the opener can read.
+
+/**
+ * Finds or creates the private staff thread of a ticket. Staff join through the role mentions
+ * (or addStaffToThread); the opener is never added.
+ * @param {TextChannel} channel The ticket channel.
+ * @param {object} ticket The ticket record.
+ * @param {object} config The guild configuration object.
+ * @returns {Promise<ThreadChannel>} The staff notes thread.
+ */
+async function getStaffNotesThread(channel, ticket, config) {
+    if (ticket.notesThreadId) {
+        const existingThread = await channel.threads.fetch(ticket.notesThreadId).catch(() => null);
+        if (existingThread) return existingThread;
+    }
+
+    const thread = await channel.threads.create({
+        name: `staff-notes-${ticket.ticketNumber}`,
+        type: ChannelType.PrivateThread,
+        invitable: false,
+        reason: `Staff notes for ticket #${ticket.ticketNumber}`,
+    });
+    await updateTicket(channel.id, { notesThreadId: thread.id });
+
+    const staffRoleIds = ticket.staffRoleIds?.length ? ticket.staffRoleIds : [config.supportRoleId].filter(Boolean);
+    await addStaffToThread(thread, staffRoleIds);
+    await thread.send({
+        content: `🔒 Staff-only notes for ticket #${ticket.ticketNumber}. The ticket opener cannot see this thread. ${staffRoleIds.map(roleId => `<@&${roleId}>`).join(' ')}`,
+        allowedMentions: { roles: staffRoleIds },
+    });
+    return thread;
+}
+
+/**
+ * Handles /ticket-note add: saves a staff note and mirrors it to the staff thread.
+ * @param {Interaction} interaction The slash command interaction.
+ * @param {string} content The note.
+ * @param {boolean} useThread Whether to create the private staff thread if the ticket has none yet.
+ */
+async function handleAddNote(interaction, content, useThread) {
+    const channel = interaction.channel;
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket) {
+        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    }
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can add notes.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const updatedTicket = await addTicketNote(channel.id, {
+        authorId: interaction.user.id,
+        authorName: interaction.member.displayName,
+        content: content,
+    });
+    if (!updatedTicket) {
+        return interaction.editReply('❌ Failed to save the note. Please try again.');
+    }
+
+    // Threads cannot contain threads, so notes on thread tickets are only saved on the record
+    if (useThread && channel.isThread()) {
+        return interaction.editReply(`✅ Note #${updatedTicket.notes.length} saved. (This ticket is itself a thread, so no staff thread can be created.)`);
+    }
+
+    let thread = null;
+    if ((useThread || ticket.notesThreadId) && !channel.isThread()) {
+        try {
+            thread = await getStaffNotesThread(channel, ticket, config);
+            const noteEmbed = new EmbedBuilder()
+                .setColor(0xF1C40F)
+                .setAuthor({ name: interaction.member.displayName, iconURL: interaction.user.displayAvatarURL() })
+                .setDescription(content)
+                .setFooter({ text: `Note #${updatedTicket.notes.length}` })
+                .setTimestamp();
+            await thread.send({ embeds: [noteEmbed] });
+        } catch (error) {
+            console.error('Error posting note to the staff thread:', error);
+            return interaction.editReply('⚠️ The note was saved, but it could not be posted to the staff thread. Ensure the bot has the `Create Private Threads` permission.');
+        }
+    }
+
+    await interaction.editReply(`✅ Note #${updatedTicket.notes.length} saved.${thread ? ` It was also posted in ${thread}.` : ''}`);
+}
+
+/**
+ * Handles /ticket-note list: shows the ticket's staff notes.
+ * @param {Interaction} interaction The slash command interaction.
+ */
+async function handleListNotes(interaction) {
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(interaction.channel.id);
+
+    if (!ticket) {
+        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    }
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can view notes.', ephemeral: true });
+    }
+
+    const notes = ticket.notes || [];
+    // Embeds are limited to 25 fields (and 6000 characters), so show the latest notes
+    const shownNotes = notes.slice(-10);
+    const embed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle(`🔒 Staff Notes (#${ticket.ticketNumber})`)
+        .setDescription(notes.length === 0
+            ? '*No notes yet. Add one with `/ticket-note add`.*'
+            : `${notes.length} note(s)${notes.length > shownNotes.length ? `, showing the latest ${shownNotes.length}` : ''}.` +
+                (ticket.notesThreadId ? ` Staff thread: <#${ticket.notesThreadId}>` : ''))
+        .addFields(shownNotes.map((note, index) => ({
+            name: `#${notes.length - shownNotes.length + index + 1} — ${note.authorName}`.slice(0, 256),
+            value: `${note.content.length > 400 ? `${note.content.slice(0, 397)}...` : note.content}\n<t:${Math.floor(new Date(note.createdAt).getTime() / 1000)}:R>`,
+        })))
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// --- SNIPPETS ---
+
+/**
+ * Replaces the placeholders of a snippet with the current ticket's details.
+ * Supported: {user}, {ticket_number}, {topic}, {staff} and {server}.
+ * @param {string} content The snippet content.
+ * @param {object} ticket The ticket record.
+ * @param {GuildMember} staffMember The staff member posting the snippet.
+ * @returns {string} The filled-in content.
+ */
+function fillSnippetPlaceholders(content, ticket, staffMember) {
+    const values = {
+        user: `<@${ticket.openerId}>`,
+        ticket_number: String(ticket.ticketNumber),
+        topic: ticket.topicLabel,
+        staff: `<@${staffMember.id}>`,
+        server: staffMember.guild.name,
+    };
+    // Unknown placeholders are left as they are
+    return content.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Builds the modal used to write a snippet.
+ * @param {string} mode 'add' or 'edit'.
+ * @param {string} name The snippet name.
+ * @param {object|null} snippet The existing snippet (prefills the inputs when editing).
+ * @returns {ModalBuilder} The modal.
+ */
+function buildSnippetModal(mode, name, snippet) {
+    const modal = new ModalBuilder()
+        .setCustomId(`ticket_snippet_modal_${mode}_${name}`)
+        .setTitle(`${mode === 'add' ? 'Add' : 'Edit'} Snippet: ${name}`.slice(0, 45));
+
+    const contentInput = new TextInputBuilder()
+        .setCustomId('snippet_content')
+        .setLabel('Reply text')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Placeholders: {user}, {ticket_number}, {topic}, {staff}, {server}')
+        .setMaxLength(2000)
+        .setRequired(true);
+    const topicsInput = new TextInputBuilder()
+        .setCustomId('snippet_topics')
+        .setLabel('Limit to topics (comma-separated values)')
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder('Leave empty to offer the snippet in every topic')
+        .setMaxLength(500)
+        .setRequired(false);
+
+    if (snippet) {
+        contentInput.setValue(snippet.content);
+        if (snippet.topics.length > 0) topicsInput.setValue(snippet.topics.join(', '));
+    }
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(contentInput),
+        new ActionRowBuilder().addComponents(topicsInput),
+    );
+    return modal;
+}
+
+/**
+ * Handles the snippet modal submission (adding or editing a snippet).
+ * @param {ModalSubmitInteraction} interaction The modal submit interaction.
+ * @param {string} mode 'add' or 'edit'.
+ * @param {string} name The snippet name.
+ */
+async function handleSnippetSubmit(interaction, mode, name) {
+    await interaction.deferReply({ ephemeral: true });
+    const config = await getGuildConfig(interaction.guild.id);
+    const content = interaction.fields.getTextInputValue('snippet_content').trim();
+    const topics = [...new Set(interaction.fields.getTextInputValue('snippet_topics')
+        .split(',').map(value => value.trim()).filter(Boolean))];
+
+    const unknownTopics = topics.filter(value => !config.ticketTopics.some(t => t.value === value));
+    if (unknownTopics.length > 0) {
+        return interaction.editReply(`❌ Unknown topic value(s): ${unknownTopics.map(value => `\`${value}\``).join(', ')}. Use the values shown by \`/ticket-topic list\`.`);
+    }
+    if (!content) {
+        return interaction.editReply('❌ The snippet text cannot be empty.');
+    }
+
+    // The snippet list may have changed while the modal was open
+    const index = config.snippets.findIndex(snippet => snippet.name === name);
+    if (mode === 'add' && index !== -1) {
+        return interaction.editReply(`❌ A snippet named **${name}** already exists.`);
+    }
+    if (mode === 'edit' && index === -1) {
+        return interaction.editReply(`❌ There is no snippet named **${name}**.`);
+    }
+
+    const snippet = { name: name, content: content, topics: topics, createdBy: interaction.user.id, updatedAt: new Date() };
+    if (mode === 'add') {
+        config.snippets.push(snippet);
+    } else {
+        config.snippets[index] = { ...snippet, createdBy: config.snippets[index].createdBy };
+    }
+    await updateGuildConfig(interaction.guild.id, { snippets: config.snippets });
+
+    await interaction.editReply(`✅ Snippet **${name}** ${mode === 'add' ? 'added' : 'updated'}${topics.length > 0 ? ` (topics: ${topics.join(', ')})` : ''}. Post it with \`/ticket-reply snippet:${name}\`.`);
+}
+
+/**
+ * Handles /ticket-reply: posts a snippet in the current ticket as an embed from the bot.
+ * @param {Interaction} interaction The slash command interaction.
+ * @param {string} name The snippet name.
+ */
+async function handleSnippetReply(interaction, name) {
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(interaction.channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
+    }
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can post snippets.', ephemeral: true });
+    }
+
+    const snippet = config.snippets.find(s => s.name === name);
+    if (!snippet) {
+        return interaction.reply({ content: `❌ There is no snippet named **${name}**.`, ephemeral: true });
+    }
+    if (snippet.topics.length > 0 && !snippet.topics.includes(ticket.topicValue)) {
+        return interaction.reply({ content: `❌ The snippet **${name}** is not available for the **${ticket.topicLabel}** topic.`, ephemeral: true });
+    }
+
+    const content = fillSnippetPlaceholders(snippet.content, ticket, interaction.member);
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setAuthor({ name: interaction.member.displayName, iconURL: interaction.user.displayAvatarURL() })
+        .setDescription(content);
+    await interaction.reply({ embeds: [embed] });
+
+    // Modmail openers only see what is relayed to their DMs
+    if (ticket.modmail && !await relayToOpener(interaction.guild, ticket, config, interaction.member, content)) {
+        await interaction.followUp({ content: '⚠️ The snippet could not be delivered to the user (their DMs may be closed).', ephemeral: true });
+    }
+
+    // Bot messages are ignored by messageCreate, so record the staff reply here
+    const updatedTicket = await touchTicketActivity(interaction.channel.id);
+    if (updatedTicket && !updatedTicket.firstResponseAt) {
+        await updateTicket(interaction.channel.id, { firstResponseAt: new Date(), firstResponderId: interaction.user.id });
+    }
+}
+
+/**
+ * Sets or clears the claimer of a ticket, keeping permissions, the record, the topic and the welcome buttons in sync.
+ * In exclusive claim mode, the staff roles become read-only and only the claimer can reply.
+ * Threads have no permission overwrites, so claims on thread tickets are never exclusive.
+ * @param {TextChannel} channel The ticket channel.
+ * @param {object} ticket The ticket record.
+ * @param {object} config The guild configuration object.
+ * @param {string|null} claimerId The ID of the new claimer, or null to unclaim.
+ * @returns {Promise<object>} The updated ticket record.
+ */
+async function setTicketClaim(channel, ticket, config, claimerId) {
+    const staffRoleIds = ticket.staffRoleIds?.length ? ticket.staffRoleIds : [config.supportRoleId].filter(Boolean);
+    const exclusive = Boolean(claimerId && config.exclusiveClaim && !channel.isThread());
+
+    // 1. Release the previous exclusive claim. Only the Send Messages grant is reset, so a claimer
+    // who was also added with /ticket-add keeps seeing the channel.
+    if (ticket.exclusiveClaim && ticket.claimedBy && ticket.claimedBy !== claimerId) {
+        await channel.permissionOverwrites.edit(ticket.claimedBy, { SendMessages: null }).catch(() => {});
+    }
+
+    // 2. Staff roles can reply unless the ticket is exclusively claimed
+    if (exclusive !== Boolean(ticket.exclusiveClaim)) {
+        for (const roleId of staffRoleIds) {
+            await channel.permissionOverwrites.edit(roleId, { SendMessages: !exclusive });
+        }
+    }
+    if (exclusive) {
+        await channel.permissionOverwrites.edit(claimerId, {
+            ViewChannel: true,
+            SendMessages: true,
+            AttachFiles: true,
+        });
+    } else if (claimerId && channel.isThread()) {
+        // Make sure a claimer who was not mentioned (e.g., a handoff) is in the thread
+        await channel.members.add(claimerId).catch(() => {});
+    }
+
+    // 3. Persist the claim
+    const updatedTicket = await updateTicket(channel.id, {
+        claimedBy: claimerId,
+        claimedAt: claimerId ? new Date() : null,
+        exclusiveClaim: exclusive,
+    });
+    if (!updatedTicket) {
+        throw new Error('Failed to save the claim to the ticket record.');
+    }
+    if (claimerId) {
+        await recordTicketClaim(channel.id, claimerId);
+        publishTicketEvent('claimed', updatedTicket, { claimedBy: claimerId, previousClaimerId: ticket.claimedBy || null });
+    }
+
+    // 4. Refresh the display topic
+    refreshChannelTopic(channel, updatedTicket);
+
+    // 5. Switch the welcome message between Claim and Unclaim
+    const welcomeMessage = ticket.welcomeMessageId
+        ? await channel.messages.fetch(ticket.welcomeMessageId).catch(() => null)
+        : null;
+    if (welcomeMessage) {
+        await welcomeMessage.edit({ components: buildWelcomeComponents(updatedTicket) }).catch(() => {});
+    }
+
+    return updatedTicket;
+}
+
+/**
+ * Handles claiming a ticket, or handing the claim off to another staff member.
  * @param {Interaction} interaction The button or slash command interaction.
- * @param {boolean} forceClaim If true, the claim button/command was used.
+ * @param {boolean} forceClaim If true, the ticket is claimed even if someone else already claimed it.
+ * @param {User|null} [targetUser] The staff member to hand the ticket to (defaults to the user running the command).
  */
-async function handleClaimTicket(interaction, forceClaim) {
+async function handleClaimTicket(interaction, forceClaim, targetUser = null) {
     // FIX: Defer reply immediately to prevent the 10062 "Unknown interaction" error
     // Database lookups and channel operations can take longer than 3 seconds.
     await interaction.deferReply({ ephemeral: true });
 
     const channel = interaction.channel;
     const user = interaction.user;
+    const claimer = targetUser || user;
     const config = await getGuildConfig(interaction.guild.id); // This DB call can be slow
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.editReply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
+    }
 
     // Check if the user has the support role
-    if (!interaction.member.roles.cache.has(config.supportRoleId)) {
+    if (!isTicketStaff(interaction.member, config, ticket)) {
         return interaction.editReply({ 
             content: '❌ Only users with the configured support role can claim a ticket.', 
             ephemeral: true 
         });
     }
 
-    const currentTopic = channel.topic || '';
-    const claimedMatch = currentTopic.match(/Claimed By: (\d+)/);
-
-    if (claimedMatch && !forceClaim) {
-        const currentClaimerId = claimedMatch[1];
-        if (currentClaimerId === user.id) {
-            return interaction.editReply({ content: '⚠️ You have already claimed this ticket.', ephemeral: true });
-        } else {
-            return interaction.editReply({ 
-                content: `⚠️ This ticket is already claimed by <@${currentClaimerId}>. Use \`/ticket-claim force:true\` to forcefully re-claim it.`, 
-                ephemeral: true 
-            });
+    // A handoff target must be staff on this ticket as well
+    if (claimer.id !== user.id) {
+        const claimerMember = await interaction.guild.members.fetch(claimer.id).catch(() => null);
+        if (!claimerMember || !isTicketStaff(claimerMember, config, ticket)) {
+            return interaction.editReply({ content: `❌ <@${claimer.id}> is not a support staff member for this ticket.`, ephemeral: true });
         }
     }
 
+    if (ticket.claimedBy === claimer.id) {
+        return interaction.editReply({ 
+            content: claimer.id === user.id ? '⚠️ You have already claimed this ticket.' : `⚠️ This ticket is already claimed by <@${claimer.id}>.`, 
+            ephemeral: true 
+        });
+    }
+
+    // Only the current claimer may hand the ticket off without forcing
+    if (ticket.claimedBy && ticket.claimedBy !== user.id && !forceClaim) {
+        return interaction.editReply({ 
+            content: `⚠️ This ticket is already claimed by <@${ticket.claimedBy}>. Use \`/ticket-claim force:true\` to forcefully re-claim it.`, 
+            ephemeral: true 
+        });
+    }
+
     try {
-        // Update the topic
-        const newTopic = currentTopic.replace(/ \| Claimed By: \d+/, ''); // Remove old claim if present
-        await channel.setTopic(`${newTopic} | Claimed By: ${user.id}`);
+        await setTicketClaim(channel, ticket, config, claimer.id);
+
+        if (claimer.id !== user.id) {
+            // Handoffs are announced in the ticket so the opener knows who is helping them
+            const handoffEmbed = new EmbedBuilder()
+                .setColor(ButtonStyle.Success)
+                .setDescription(`🔁 <@${user.id}> handed this ticket over to <@${claimer.id}>.`);
+            await channel.send({ content: `<@${claimer.id}>`, embeds: [handoffEmbed] });
+        }
 
         const claimEmbed = new EmbedBuilder()
             .setColor(ButtonStyle.Success)
-            .setDescription(`✅ This ticket has been claimed by <@${user.id}>. The staff member will assist you shortly.`);
-
-        // Find the initial message and disable/remove the claim button
-        const messages = await channel.messages.fetch({ limit: 5 });
-        const initialMessage = messages.find(m => m.components.length > 0 && m.components[0].components.some(c => c.customId === 'ticket_claim'));
-
-        if (initialMessage) {
-            const updatedRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('ticket_claimed_disabled')
-                        .setLabel('Claimed')
-                        .setStyle(ButtonStyle.Success)
-                        .setDisabled(true)
-                        .setEmoji('✅'),
-                    // Keep the close button
-                    ...initialMessage.components[0].components.filter(c => c.customId !== 'ticket_claim').map(c => new ButtonBuilder(c))
-                );
-
-            // Use edit instead of reply for the original message
-            await initialMessage.edit({ components: [updatedRow] }).catch(() => {});
-        }
+            .setDescription(`✅ This ticket has been claimed by <@${claimer.id}>. The staff member will assist you shortly.`);
         
         // Use editReply since we deferred at the start
         await interaction.editReply({ embeds: [claimEmbed] });
 
     } catch (error) {
-        console.error('Error claiming ticket:', error);
-        // Use editReply since we deferred at the start
-        await interaction.editReply({ content: '❌ An error occurred while claiming the ticket.', ephemeral: true });
+        console.error('Error claiming ticket:', error);
+        // Use editReply since we deferred at the start
+        await interaction.editReply({ content: '❌ An error occurred while claiming the ticket.', ephemeral: true });
+    }
+}
+
+/**
+ * Handles releasing the claim on a ticket.
+ * Only the claimer, or staff with the Manage Channels permission, can unclaim.
+ * @param {Interaction} interaction The button or slash command interaction.
+ */
+async function handleUnclaimTicket(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const channel = interaction.channel;
+    const user = interaction.user;
+    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.editReply({ content: '❌ This command must be used in an open ticket channel.' });
+    }
+
+    if (!ticket.claimedBy) {
+        return interaction.editReply({ content: '⚠️ This ticket is not claimed.' });
+    }
+
+    const canManage = interaction.member.permissionsIn(channel).has(PermissionsBitField.Flags.ManageChannels);
+    if (ticket.claimedBy !== user.id && !(canManage && isTicketStaff(interaction.member, config, ticket))) {
+        return interaction.editReply({ content: `❌ Only <@${ticket.claimedBy}> or a staff member with \`Manage Channels\` can unclaim this ticket.` });
+    }
+
+    try {
+        await setTicketClaim(channel, ticket, config, null);
+
+        const unclaimEmbed = new EmbedBuilder()
+            .setColor(0xF1C40F)
+            .setDescription(`↩️ <@${user.id}> released this ticket${ticket.claimedBy !== user.id ? ` (previously claimed by <@${ticket.claimedBy}>)` : ''}. Another staff member will pick it up shortly.`);
+        await channel.send({ embeds: [unclaimEmbed] });
+
+        await interaction.editReply({ content: '✅ The ticket has been unclaimed.' });
+
+    } catch (error) {
+        console.error('Error unclaiming ticket:', error);
+        await interaction.editReply({ content: '❌ An error occurred while unclaiming the ticket.' }).catch(() => {});
+    }
+}
+
+/**
+ * Handles changing a ticket's priority (channel prefix, embed color, escalation ping and log).
+ * @param {Interaction} interaction The slash command or select menu interaction.
+ * @param {string} priority The new priority level (low, normal, high or urgent).
+ */
+async function handleSetPriority(interaction, priority) {
+    const channel = interaction.channel;
+    const guild = interaction.guild;
+    const config = await getGuildConfig(guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
+    }
+
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can change the priority of a ticket.', ephemeral: true });
+    }
+
+    const previousPriority = ticket.priority || 'normal';
+    if (previousPriority === priority) {
+        return interaction.reply({ content: `⚠️ This ticket already has **${TICKET_PRIORITIES[priority].label}** priority.`, ephemeral: true });
+    }
+
+    try {
+        const updatedTicket = await updateTicket(channel.id, { priority: priority });
+        const level = TICKET_PRIORITIES[priority];
+
+        // Channel renames are heavily rate limited, so the prefix is best-effort
+        channel.setName(applyPriorityPrefix(channel.name, priority)).catch(() => {});
+
+        // Recolor the welcome embed and update the selected priority
+        const welcomeMessage = ticket.welcomeMessageId
+            ? await channel.messages.fetch(ticket.welcomeMessageId).catch(() => null)
+            : null;
+        if (welcomeMessage && welcomeMessage.embeds.length > 0) {
+            const welcomeEmbed = EmbedBuilder.from(welcomeMessage.embeds[0]).setColor(level.color);
+            const fields = welcomeEmbed.data.fields || [];
+            const priorityField = fields.find(f => f.name === 'Priority');
+            if (priorityField) priorityField.value = `${level.emoji} ${level.label}`;
+
+            await welcomeMessage.edit({ embeds: [welcomeEmbed], components: buildWelcomeComponents(updatedTicket) }).catch(() => {});
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(level.color)
+            .setDescription(`${level.emoji} Ticket priority set to **${level.label}** by <@${interaction.user.id}>.`);
+        const escalationMention = priority === 'urgent' && config.escalationRoleId ? `<@&${config.escalationRoleId}>` : undefined;
+        await interaction.reply({ content: escalationMention, embeds: [embed] });
+
+        const logEmbed = new EmbedBuilder()
+            .setColor(level.color)
+            .setTitle(`Ticket Priority Changed (#${ticket.ticketNumber})`)
+            .setDescription(`**Channel:** ${channel}\n**Priority:** ${TICKET_PRIORITIES[previousPriority].label} → ${level.label}\n**Changed By:** <@${interaction.user.id}>`)
+            .setTimestamp();
+        await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+    } catch (error) {
+        console.error('Error changing ticket priority:', error);
+        await interaction.reply({ content: '❌ An error occurred while changing the ticket priority.', ephemeral: true }).catch(() => {});
+    }
+}
+
+/**
+ * Handles transferring a ticket to another topic: moves the channel, swaps the staff roles and logs the change.
+ * @param {Interaction} interaction The slash command interaction.
+ * @param {string} topicValue The value of the topic to transfer to.
+ * @param {boolean} clearClaim Whether to clear the current claim.
+ */
+async function handleTransferTicket(interaction, topicValue, clearClaim) {
+    const channel = interaction.channel;
+    const guild = interaction.guild;
+    const config = await getGuildConfig(guild.id);
+    const ticket = await getTicketByChannel(channel.id);
+
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
+    }
+
+    if (!isTicketStaff(interaction.member, config, ticket)) {
+        return interaction.reply({ content: '❌ Only support staff can transfer a ticket.', ephemeral: true });
+    }
+
+    const newTopic = config.ticketTopics.find(t => t.value === topicValue);
+    if (!newTopic) {
+        return interaction.reply({ content: `❌ Topic with value \`${topicValue}\` not found.`, ephemeral: true });
+    }
+
+    if (newTopic.value === ticket.topicValue) {
+        return interaction.reply({ content: `⚠️ This ticket already belongs to **${newTopic.label}**.`, ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        // Route as if the ticket had been opened for the new topic from the same panel
+        const panel = ticket.panelName ? config.panels.find(p => p.name === ticket.panelName) : null;
+        const routing = resolveTicketRouting(config, panel, newTopic);
+        const oldRoleIds = ticket.staffRoleIds?.length ? ticket.staffRoleIds : [config.supportRoleId].filter(Boolean);
+
+        // Threads cannot be moved and have no overwrites: the old team's members are removed, and the new
+        // staff roles join through the mention in the transfer notice
+        if (channel.isThread()) {
+            const keepIds = [ticket.openerId, ...(ticket.claimedBy && !clearClaim ? [ticket.claimedBy] : [])];
+            await removeStaffFromThread(channel, oldRoleIds.filter(id => !routing.staffRoleIds.includes(id)), routing.staffRoleIds, keepIds);
+            await addStaffToThread(channel, routing.staffRoleIds);
+        } else {
+            // 1. Move the channel (keeping its own permission overwrites). Overflow categories hold tickets of
+            // every topic, so a ticket already in one only moves if the routed category has room.
+            const routedIsFull = countCategoryChannels(interaction.guild, routing.categoryId) >= MAX_CHANNELS_PER_CATEGORY;
+            if (routing.categoryId && routing.categoryId !== channel.parentId && !(routedIsFull && config.overflowCategoryIds.includes(channel.parentId))) {
+                // If every category is full, the channel stays where it is
+                await placeTicketChannel(interaction.guild, config, routing.categoryId, async categoryId => {
+                    if (categoryId !== channel.parentId) await channel.setParent(categoryId, { lockPermissions: false });
+                });
+            }
+
+            // 2. Swap the staff role overwrites
+            for (const roleId of oldRoleIds.filter(id => !routing.staffRoleIds.includes(id))) {
+                await channel.permissionOverwrites.delete(roleId).catch(() => {});
+            }
+            for (const roleId of routing.staffRoleIds) {
+                await channel.permissionOverwrites.edit(roleId, {
+                    ViewChannel: true,
+                    // An exclusive claim keeps the new staff roles read-only as well
+                    SendMessages: !ticket.exclusiveClaim,
+                    AttachFiles: true,
+                    ManageChannels: true,
+                });
+            }
+        }
+
+        // 3. Update the ticket record (optionally clearing the claim)
+        let updatedTicket = await updateTicket(channel.id, {
+            topicValue: newTopic.value,
+            topicLabel: newTopic.label,
+            staffRoleIds: routing.staffRoleIds,
+        });
+
+        if (clearClaim && ticket.claimedBy) {
+            // Also restores the staff permissions and the Claim button
+            updatedTicket = await setTicketClaim(channel, updatedTicket, config, null);
+        } else {
+            // Refresh the display topic (best-effort)
+            refreshChannelTopic(channel, updatedTicket);
+        }
+        publishTicketEvent('transferred', updatedTicket, {
+            fromTopic: ticket.topicValue,
+            toTopic: newTopic.value,
+            transferredBy: interaction.user.id,
+            claimCleared: Boolean(clearClaim && ticket.claimedBy),
+        });
+
+        // 4. Post the transfer notice and log it
+        const staffMentions = routing.staffRoleIds.map(roleId => `<@&${roleId}>`).join(' ');
+        const transferEmbed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setDescription(
+                `🔀 This ticket has been transferred from **${ticket.topicLabel}** to **${newTopic.label}** by <@${interaction.user.id}>.` +
+                (clearClaim && ticket.claimedBy ? '\nThe previous claim has been cleared.' : '')
+            );
+        await channel.send({ content: staffMentions || undefined, embeds: [transferEmbed] });
+
+        const logEmbed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setTitle(`Ticket Transferred (#${ticket.ticketNumber})`)
+            .setDescription(
+                `**Channel:** ${channel}\n**From:** ${ticket.topicLabel} (\`${ticket.topicValue}\`)\n**To:** ${newTopic.label} (\`${newTopic.value}\`)` +
+                `\n**Transferred By:** <@${interaction.user.id}>${clearClaim && ticket.claimedBy ? `\n**Claim Cleared:** <@${ticket.claimedBy}>` : ''}`
+            )
+            .setTimestamp();
+        await sendTicketLog(guild, config, { embeds: [logEmbed] });
+
+        await interaction.editReply({ content: `✅ Ticket transferred to **${newTopic.label}**.` });
+
+    } catch (error) {
+        console.error('Error transferring ticket:', error);
+        await interaction.editReply({ content: '❌ An error occurred while transferring the ticket. Ensure the bot has the `Manage Channels` and `Manage Roles` permissions.' }).catch(() => {});
     }
 }
 
@@ -461,24 +2115,26 @@ async function handleClaimTicket(interaction, forceClaim) {
  */
 async function handleLockTicket(interaction, lockState) {
     const channel = interaction.channel;
-    const config = await getGuildConfig(interaction.guild.id);
+    const ticket = await getTicketByChannel(channel.id);
     
-    // Check if the channel is a ticket channel
-    if (!channel.name.startsWith('ticket-')) {
-        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
-    }
-
-    const ticketUserMatch = channel.topic?.match(/UserID: (\d+)/);
-    if (!ticketUserMatch) {
-        return interaction.reply({ content: '❌ Could not find the original ticket creator from the channel topic.', ephemeral: true });
+    // Check if the channel is an open ticket
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
     }
 
-    const ticketUserId = ticketUserMatch[1];
+    const ticketUserId = ticket.openerId;
     
     try {
-        await channel.permissionOverwrites.edit(ticketUserId, {
-            SendMessages: lockState ? false : true,
-        });
+        if (channel.isThread()) {
+            // Threads have no per-user permissions: a locked thread only accepts messages from members with Manage Threads
+            await channel.setLocked(lockState);
+        } else {
+            await channel.permissionOverwrites.edit(ticketUserId, {
+                SendMessages: lockState ? false : true,
+            });
+        }
+        const updatedTicket = await updateTicket(channel.id, { locked: lockState });
+        publishTicketEvent(lockState ? 'locked' : 'unlocked', updatedTicket || ticket, { actorId: interaction.user.id });
 
         const action = lockState ? 'locked' : 'unlocked';
         const emoji = lockState ? '🔒' : '🔓';
@@ -502,10 +2158,11 @@ async function handleLockTicket(interaction, lockState) {
  */
 async function handleRenameTicket(interaction, newName) {
     const channel = interaction.channel;
+    const ticket = await getTicketByChannel(channel.id);
     
     // Simple validation
-    if (!channel.name.startsWith('ticket-')) {
-        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
     }
     
     // Clean up the name for channel use (lowercase, no spaces, hyphens only)
@@ -516,11 +2173,15 @@ async function handleRenameTicket(interaction, newName) {
     }
 
     try {
-        await channel.setName(safeName);
+        const oldName = channel.name;
+        // Keep the priority emoji prefix, which the cleanup above strips
+        const finalName = applyPriorityPrefix(safeName, ticket.priority || 'normal');
+        await channel.setName(finalName);
+        publishTicketEvent('renamed', ticket, { oldName: oldName, newName: finalName, actorId: interaction.user.id });
 
         const embed = new EmbedBuilder()
             .setColor(0x0099FF)
-            .setDescription(`✏️ Ticket channel renamed to **#${safeName}** by <@${interaction.user.id}>.`);
+            .setDescription(`✏️ Ticket channel renamed to **#${finalName}** by <@${interaction.user.id}>.`);
         
         await interaction.reply({ embeds: [embed] });
 
@@ -530,6 +2191,44 @@ async function handleRenameTicket(interaction, newName) {
     }
 }
 
+/**
+ * Adds a user to or removes a user from a ticket channel's permissions.
+ * This is the shared path used by /ticket-add, /ticket-remove and the REST API.
+ * @param {TextChannel} channel The ticket channel.
+ * @param {object} ticket The ticket record.
+ * @param {string} userId The ID of the user to add/remove.
+ * @param {boolean} isAdd True for adding, false for removing.
+ * @param {string} actorId The ID of the user (or the bot) making the change.
+ * @returns {Promise<EmbedBuilder>} The announcement for the ticket channel.
+ */
+async function setTicketMember(channel, ticket, userId, isAdd, actorId) {
+    if (isAdd) {
+        if (channel.isThread()) {
+            await channel.members.add(userId);
+        } else {
+            await channel.permissionOverwrites.edit(userId, {
+                ViewChannel: true,
+                SendMessages: true,
+                AttachFiles: true,
+            });
+        }
+        publishTicketEvent('user-added', ticket, { userId: userId, actorId: actorId });
+        return new EmbedBuilder()
+            .setColor(ButtonStyle.Success)
+            .setDescription(`➕ <@${userId}> has been added to the ticket by <@${actorId}>.`);
+    }
+
+    if (channel.isThread()) {
+        await channel.members.remove(userId);
+    } else {
+        await channel.permissionOverwrites.delete(userId);
+    }
+    publishTicketEvent('user-removed', ticket, { userId: userId, actorId: actorId });
+    return new EmbedBuilder()
+        .setColor(ButtonStyle.Danger)
+        .setDescription(`➖ <@${userId}> has been removed from the ticket by <@${actorId}>.`);
+}
+
 /**
  * Handles adding or removing a user from the ticket channel permissions.
  * @param {Interaction} interaction The slash command interaction.
@@ -538,35 +2237,528 @@ async function handleRenameTicket(interaction, newName) {
  */
 async function handleUserManagement(interaction, userToManage, isAdd) {
     const channel = interaction.channel;
+    const ticket = await getTicketByChannel(channel.id);
     
-    if (!channel.name.startsWith('ticket-')) {
-        return interaction.reply({ content: '❌ This command must be used in a ticket channel.', ephemeral: true });
+    if (!ticket || ticket.status !== 'open') {
+        return interaction.reply({ content: '❌ This command must be used in an open ticket channel.', ephemeral: true });
     }
 
     try {
-        if (isAdd) {
-            await channel.permissionOverwrites.edit(userToManage.id, {
-                ViewChannel: true,
-                SendMessages: true,
-                AttachFiles: true,
-            });
-            const embed = new EmbedBuilder()
-                .setColor(ButtonStyle.Success)
-                .setDescription(`➕ <@${userToManage.id}> has been added to the ticket by <@${interaction.user.id}>.`);
-            await interaction.reply({ embeds: [embed] });
-        } else {
-            await channel.permissionOverwrites.delete(userToManage.id);
-            const embed = new EmbedBuilder()
-                .setColor(ButtonStyle.Danger)
-                .setDescription(`➖ <@${userToManage.id}> has been removed from the ticket by <@${interaction.user.id}>.`);
-            await interaction.reply({ embeds: [embed] });
-        }
+        const embed = await setTicketMember(channel, ticket, userToManage.id, isAdd, interaction.user.id);
+        await interaction.reply({ embeds: [embed] });
     } catch (error) {
         console.error(`Error ${isAdd ? 'adding' : 'removing'} user:`, error);
         await interaction.reply({ content: `❌ An error occurred while ${isAdd ? 'adding' : 'removing'} the user. Ensure the bot has the correct permissions.`, ephemeral: true });
     }
 }
 
+// --- SATISFACTION RATINGS ---
+// Rating buttons live in the opener's DMs, so these handlers work without a guild context.
+
+/**
+ * Posts (or updates) a ticket's rating entry in the guild's feedback channel, if one is configured.
+ * @param {object} ticket The rated ticket record.
+ */
+async function postTicketFeedback(ticket) {
+    const guild = client.guilds.cache.get(ticket.guildId);
+    if (!guild) return;
+
+    const config = await getGuildConfig(guild.id);
+    if (!config.feedbackChannelId) return;
+
+    const feedbackChannel = guild.channels.cache.get(config.feedbackChannelId);
+    if (!feedbackChannel) return;
+
+    const embed = new EmbedBuilder()
+        .setColor(ticket.rating >= 4 ? 0x2ECC71 : ticket.rating === 3 ? 0xF1C40F : 0xE74C3C)
+        .setTitle(`⭐ Ticket Feedback (#${ticket.ticketNumber})`)
+        .setDescription(
+            `**Rating:** ${formatRatingStars(ticket.rating)} (${ticket.rating}/5)\n**User:** <@${ticket.openerId}>` +
+            `\n**Handled By:** ${ticket.ratedStaffId ? `<@${ticket.ratedStaffId}>` : 'Unclaimed'}\n**Topic:** ${ticket.topicLabel}`
+        )
+        .setTimestamp(ticket.ratedAt);
+
+    if (ticket.ratingFeedback) {
+        embed.addFields({ name: 'Feedback', value: ticket.ratingFeedback.slice(0, 1024), inline: false });
+    }
+
+    try {
+        if (ticket.feedbackMessageId) {
+            const feedbackMessage = await feedbackChannel.messages.fetch(ticket.feedbackMessageId);
+            await feedbackMessage.edit({ embeds: [embed] });
+        } else {
+            const feedbackMessage = await feedbackChannel.send({ embeds: [embed] });
+            await updateTicketById(ticket._id, { feedbackMessageId: feedbackMessage.id });
+        }
+    } catch (error) {
+        console.error(`Failed to post feedback for ticket ${ticket._id}:`, error);
+    }
+}
+
+/**
+ * Validates that a rating interaction comes from the ticket's opener.
+ * @param {Interaction} interaction The button or modal interaction.
+ * @param {object|null} ticket The ticket record.
+ * @returns {string|null} An error message, or null if the interaction is allowed.
+ */
+function getRatingError(interaction, ticket) {
+    if (!ticket) {
+        return '❌ This ticket no longer exists.';
+    }
+    if (interaction.user.id !== ticket.openerId) {
+        return '❌ Only the user who opened this ticket can rate it.';
+    }
+    return null;
+}
+
+/**
+ * Handles a click on one of the closing DM's star rating buttons.
+ * @param {Interaction} interaction The button interaction.
+ * @param {string} ticketId The ID of the ticket record.
+ * @param {number} score The selected rating (1-5).
+ */
+async function handleTicketRating(interaction, ticketId, score) {
+    const ticket = await getTicketById(ticketId);
+    const error = getRatingError(interaction, ticket);
+    if (error) {
+        return interaction.reply({ content: error, ephemeral: true });
+    }
+    if (ticket.rating) {
+        return interaction.reply({ content: `⚠️ You already rated this ticket ${formatRatingStars(ticket.rating)}.`, ephemeral: true });
+    }
+
+    // The rating is credited to whoever held the claim when the ticket was closed
+    const ratedTicket = await updateTicketById(ticketId, {
+        rating: score,
+        ratedStaffId: ticket.claimedBy,
+        ratedAt: new Date(),
+    });
+    if (!ratedTicket) {
+        return interaction.reply({ content: '❌ Failed to save your rating. Please try again later.', ephemeral: true });
+    }
+
+    const feedbackRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`ticket_feedback_${ticketId}`)
+                .setLabel('Leave Feedback')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📝'),
+        );
+
+    await interaction.update({
+        content: `✅ Thank you! You rated this ticket ${formatRatingStars(score)}. You can optionally tell us more below.`,
+        components: [feedbackRow],
+    });
+
+    await postTicketFeedback(ratedTicket);
+}
+
+/**
+ * Opens the optional written feedback modal for a rated ticket.
+ * @param {Interaction} interaction The button interaction.
+ * @param {string} ticketId The ID of the ticket record.
+ */
+async function handleFeedbackButton(interaction, ticketId) {
+    const ticket = await getTicketById(ticketId);
+    const error = getRatingError(interaction, ticket);
+    if (error) {
+        return interaction.reply({ content: error, ephemeral: true });
+    }
+    if (ticket.ratingFeedback) {
+        return interaction.reply({ content: '⚠️ You already left feedback for this ticket.', ephemeral: true });
+    }
+
+    const modal = new ModalBuilder()
+        .setCustomId(`ticket_feedback_modal_${ticketId}`)
+        .setTitle(`Feedback for Ticket #${ticket.ticketNumber}`);
+
+    const feedbackInput = new TextInputBuilder()
+        .setCustomId('feedback_text')
+        .setLabel('How was your support experience?')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(1000)
+        .setRequired(true);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(feedbackInput));
+    await interaction.showModal(modal);
+}
+
+/**
+ * Saves the written feedback submitted through the feedback modal.
+ * @param {Interaction} interaction The modal submit interaction.
+ * @param {string} ticketId The ID of the ticket record.
+ */
+async function handleFeedbackSubmit(interaction, ticketId) {
+    const ticket = await getTicketById(ticketId);
+    const error = getRatingError(interaction, ticket);
+    if (error) {
+        return interaction.reply({ content: error, ephemeral: true });
+    }
+
+    const feedbackTicket = await updateTicketById(ticketId, { ratingFeedback: interaction.fields.getTextInputValue('feedback_text') });
+    if (!feedbackTicket) {
+        return interaction.reply({ content: '❌ Failed to save your feedback. Please try again later.', ephemeral: true });
+    }
+
+    await interaction.update({
+        content: `✅ Thank you! You rated this ticket ${formatRatingStars(feedbackTicket.rating)} and your feedback has been sent to the staff team.`,
+        components: [],
+    });
+
+    await postTicketFeedback(feedbackTicket);
+}
+
+// --- MODMAIL ---
+
+// Discord allows at most 25 options in a select menu
+const MAX_MODMAIL_GUILDS = 25;
+// How long a user's server list is reused, so a burst of DMs does not repeat the member lookups
+const MODMAIL_GUILDS_CACHE_MS = 5 * 60 * 1000;
+const modmailGuildsCache = new Map();
+// Users whose modmail ticket is being opened, so a second topic pick cannot open another one
+const modmailOpenings = new Set();
+
+/**
+ * Lists the servers a user can open a modmail ticket in (modmail enabled, and both the bot and the user are members).
+ * Results are cached per user for MODMAIL_GUILDS_CACHE_MS.
+ * @param {User} user The user who sent the direct message.
+ * @param {object[]} configs The configurations of the guilds with modmail enabled.
+ * @returns {Promise<Guild[]>} The servers, at most MAX_MODMAIL_GUILDS.
+ */
+async function getModmailGuilds(user, configs) {
+    const now = Date.now();
+    for (const [userId, entry] of modmailGuildsCache) {
+        if (entry.expiresAt <= now) modmailGuildsCache.delete(userId);
+    }
+    const cached = modmailGuildsCache.get(user.id);
+    if (cached) {
+        return cached.guildIds.map(guildId => client.guilds.cache.get(guildId)).filter(Boolean);
+    }
+
+    const guilds = [];
+    for (const config of configs) {
+        if (guilds.length >= MAX_MODMAIL_GUILDS) break;
+
+        const guild = client.guilds.cache.get(config.guildId);
+        if (!guild) continue;
+        if (guild.members.cache.has(user.id) || await guild.members.fetch(user.id).catch(() => null)) {
+            guilds.push(guild);
+        }
+    }
+
+    modmailGuildsCache.set(user.id, { guildIds: guilds.map(guild => guild.id), expiresAt: now + MODMAIL_GUILDS_CACHE_MS });
+    return guilds;
+}
+
+/**
+ * Builds the topic picker sent in DMs once the user's server is known.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The guild configuration object.
+ * @param {string} messageId The direct message that started the conversation (relayed once the ticket is open).
+ * @returns {object} The message payload.
+ */
+function buildModmailTopicPicker(guild, config, messageId) {
+    if (config.ticketTopics.length === 0) {
+        return { content: `❌ **${guild.name}** has not set up any ticket topics yet.`, components: [] };
+    }
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`modmail_topic_${guild.id}_${messageId}`)
+        .setPlaceholder('Select a ticket topic...')
+        .addOptions(config.ticketTopics.map(topic => ({
+            label: topic.label,
+            description: topic.description,
+            value: topic.value,
+            emoji: topic.emoji,
+        })));
+
+    return {
+        content: `📨 What would you like to contact **${guild.name}** about? Choose a topic to open a ticket with its staff.`,
+        components: [new ActionRowBuilder().addComponents(selectMenu)],
+    };
+}
+
+/**
+ * Sends a relayed message. If the attachments cannot be re-uploaded (e.g., they exceed the upload limit), links are sent instead.
+ * @param {TextBasedChannel|User} target The ticket channel, or the opener.
+ * @param {EmbedBuilder} embed The embed carrying the message text and its author.
+ * @param {Collection<string, Attachment>} attachments The attachments of the original message.
+ * @returns {Promise<Message>} The relayed message.
+ */
+async function sendRelayedMessage(target, embed, attachments) {
+    const files = attachments.map(attachment => ({ attachment: attachment.url, name: attachment.name }));
+    try {
+        return await target.send({ embeds: [embed], files: files });
+    } catch (error) {
+        if (files.length === 0) throw error;
+
+        const links = attachments.map(attachment => `📎 [${attachment.name}](${attachment.url})`).join('\n');
+        return target.send({ embeds: [embed.addFields({ name: 'Attachments', value: links.slice(0, 1024) })] });
+    }
+}
+
+/**
+ * Relays a direct message from the opener to their modmail ticket.
+ * @param {Message} message The direct message.
+ * @param {object} ticket The open modmail ticket.
+ * @param {TextChannel|ThreadChannel} channel The ticket channel.
+ */
+async function relayToTicket(message, ticket, channel) {
+    if (ticket.locked) {
+        return message.reply('🔒 Your ticket is locked, so staff are not receiving new messages right now.').catch(() => {});
+    }
+    if (!message.content && message.attachments.size === 0) {
+        return message.reply('⚠️ Only text and attachments can be forwarded to staff.').catch(() => {});
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setAuthor({ name: message.author.username, iconURL: message.author.displayAvatarURL() })
+        .setDescription(message.content || null)
+        .setFooter({ text: 'Received by direct message' })
+        .setTimestamp(message.createdAt);
+
+    try {
+        await sendRelayedMessage(channel, embed, message.attachments);
+        // Relayed messages are sent by the bot, which messageCreate ignores
+        await touchTicketActivity(channel.id);
+        await message.react('✅').catch(() => {});
+    } catch (error) {
+        console.error(`Error relaying a direct message to ticket channel ${channel.id}:`, error);
+        await message.reply('❌ Your message could not be delivered to staff. Please try again later.').catch(() => {});
+    }
+}
+
+/**
+ * Relays a staff reply from a modmail ticket to the opener's DMs, under the server's name unless anonymity is off.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} ticket The modmail ticket.
+ * @param {object} config The guild configuration object.
+ * @param {GuildMember} member The staff member replying.
+ * @param {string} content The reply text.
+ * @param {Collection<string, Attachment>} [attachments] The reply's attachments.
+ * @returns {Promise<boolean>} Whether the reply reached the opener.
+ */
+async function relayToOpener(guild, ticket, config, member, content, attachments = new Collection()) {
+    const author = config.modmailAnonymous
+        ? { name: `${guild.name} Staff`, iconURL: guild.iconURL() ?? undefined }
+        : { name: `${member.displayName} (${guild.name})`, iconURL: member.displayAvatarURL() };
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setAuthor(author)
+        .setDescription(content || null)
+        .setFooter({ text: `Ticket #${ticket.ticketNumber} • Reply here to answer` })
+        .setTimestamp();
+
+    try {
+        const opener = await client.users.fetch(ticket.openerId);
+        await sendRelayedMessage(opener, embed, attachments);
+        return true;
+    } catch (error) {
+        console.log(`Could not relay a modmail reply to user ${ticket.openerId}.`);
+        return false;
+    }
+}
+
+/**
+ * Handles a direct message: relays it to the user's open modmail ticket, or starts a new conversation.
+ * @param {Message} message The direct message.
+ */
+async function handleDirectMessage(message) {
+    const ticket = await getOpenModmailTicket(message.author.id);
+    if (ticket) {
+        const guild = client.guilds.cache.get(ticket.guildId);
+        const channel = guild ? await fetchTicketChannel(guild, ticket) : null;
+        if (channel) {
+            return relayToTicket(message, ticket, channel);
+        }
+
+        // The server or the channel is gone, so the record is stale
+        await updateTicket(ticket.channelId, { status: 'closed', closedAt: new Date() });
+    }
+
+    // Without any modmail server, DMs to the bot are simply ignored
+    const configs = await getModmailGuildConfigs();
+    if (configs.length === 0) return;
+
+    const guilds = await getModmailGuilds(message.author, configs);
+    if (guilds.length === 0) {
+        return message.reply('❌ None of the servers we share accept tickets by direct message. Please use the ticket panel in the server instead.').catch(() => {});
+    }
+
+    if (guilds.length === 1) {
+        const config = await getGuildConfig(guilds[0].id);
+        return message.reply(buildModmailTopicPicker(guilds[0], config, message.id)).catch(() => {});
+    }
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`modmail_guild_${message.id}`)
+        .setPlaceholder('Select a server...')
+        .addOptions(guilds.map(guild => ({ label: guild.name, value: guild.id })));
+
+    await message.reply({
+        content: '📨 Which server would you like to contact?',
+        components: [new ActionRowBuilder().addComponents(selectMenu)],
+    }).catch(() => {});
+}
+
+/**
+ * Shows the topic picker of the server chosen in a modmail conversation.
+ * @param {Interaction} interaction The select menu interaction (in DMs, so there is no guild).
+ * @param {string} messageId The direct message that started the conversation.
+ */
+async function handleModmailGuildSelect(interaction, messageId) {
+    const guild = client.guilds.cache.get(interaction.values[0]);
+    const config = guild ? await getGuildConfig(guild.id) : null;
+    if (!config?.modmailEnabled) {
+        return interaction.update({ content: '❌ This server no longer accepts tickets by direct message.', components: [] });
+    }
+
+    await interaction.update(buildModmailTopicPicker(guild, config, messageId));
+}
+
+/**
+ * Opens a modmail ticket for the topic chosen in DMs, then relays the message that started the conversation.
+ * @param {Interaction} interaction The select menu interaction (in DMs, so there is no guild).
+ * @param {string} guildId The ID of the chosen server.
+ * @param {string} messageId The direct message that started the conversation.
+ */
+async function handleModmailTopicSelect(interaction, guildId, messageId) {
+    await interaction.deferUpdate();
+    const reply = content => interaction.editReply({ content: content, components: [] }).catch(() => {});
+
+    if (modmailOpenings.has(interaction.user.id)) {
+        return reply('⚠️ Your ticket is already being opened. Send your messages here once it is ready.');
+    }
+    modmailOpenings.add(interaction.user.id);
+    try {
+        await openModmailTicket(interaction, guildId, messageId, reply);
+    } finally {
+        modmailOpenings.delete(interaction.user.id);
+    }
+}
+
+/**
+ * Opens the modmail ticket once handleModmailTopicSelect holds the user's lock.
+ * @param {Interaction} interaction The select menu interaction.
+ * @param {string} guildId The ID of the chosen server.
+ * @param {string} messageId The direct message that started the conversation.
+ * @param {Function} reply Replaces the topic picker with a message.
+ */
+async function openModmailTicket(interaction, guildId, messageId, reply) {
+    if (await getOpenModmailTicket(interaction.user.id)) {
+        return reply('⚠️ You already have an open ticket. Send your messages here and they will be forwarded to staff.');
+    }
+
+    const guild = client.guilds.cache.get(guildId);
+    const member = guild ? await guild.members.fetch(interaction.user.id).catch(() => null) : null;
+    const config = member ? await getGuildConfig(guild.id) : null;
+    if (!config?.modmailEnabled) {
+        return reply('❌ This server no longer accepts tickets by direct message.');
+    }
+
+    const dmChannel = await interaction.user.createDM();
+    const firstMessage = await dmChannel.messages.fetch(messageId).catch(() => null);
+
+    const { ticket, channel, error } = await openTicket(guild, member, interaction.values[0], {
+        issueDescription: firstMessage?.content || null,
+        modmail: true,
+    });
+    if (error) {
+        return reply(error);
+    }
+
+    if (firstMessage) {
+        await updateTicket(channel.id, { modmailStartedAt: firstMessage.createdAt });
+        await relayToTicket(firstMessage, ticket, channel);
+    }
+    await reply(`✅ Your ticket #${ticket.ticketNumber} has been opened in **${guild.name}**. Staff replies will appear here, and everything you send me is forwarded to them until the ticket is closed.`);
+}
+
+// --- INACTIVITY SCHEDULER ---
+// All state lives on the ticket records, so a restart simply resumes on the next sweep.
+
+const INACTIVITY_CHECK_INTERVAL_MS = 5 * 60 * 1000; // Sweep every 5 minutes
+const HOUR_MS = 60 * 60 * 1000;
+let inactivitySweepRunning = false;
+
+/**
+ * Resolves the inactivity thresholds for a ticket, preferring the topic's overrides.
+ * A topic override of 0 turns the step off; null inherits the guild setting.
+ * @param {object} config The guild configuration object.
+ * @param {string} topicValue The value of the ticket's topic.
+ * @returns {{reminderHours: number|null, closeHours: number|null}} The thresholds (null = disabled).
+ */
+function getInactivityThresholds(config, topicValue) {
+    const topic = config.ticketTopics.find(t => t.value === topicValue);
+    return {
+        reminderHours: (topic?.inactivityReminderHours ?? config.inactivityReminderHours) || null,
+        closeHours: (topic?.inactivityCloseHours ?? config.inactivityCloseHours) || null,
+    };
+}
+
+/**
+ * Posts inactivity reminders and auto-closes stale tickets.
+ */
+async function checkInactiveTickets() {
+    if (inactivitySweepRunning) return;
+    inactivitySweepRunning = true;
+
+    try {
+        const tickets = await getAllOpenTickets();
+        const configs = new Map(); // Cache configs per guild for this sweep
+
+        for (const ticket of tickets) {
+            try {
+                const guild = client.guilds.cache.get(ticket.guildId);
+                const channel = guild ? await fetchTicketChannel(guild, ticket) : null;
+                if (!channel) continue;
+
+                if (!configs.has(guild.id)) {
+                    configs.set(guild.id, await getGuildConfig(guild.id));
+                }
+                const config = configs.get(guild.id);
+                const { reminderHours, closeHours } = getInactivityThresholds(config, ticket.topicValue);
+                const now = Date.now();
+                const lastActivity = new Date(ticket.lastMessageAt || ticket.createdAt).getTime();
+
+                // 1. Reminder after the first idle period
+                if (reminderHours && !ticket.inactivityReminderAt && now - lastActivity >= reminderHours * HOUR_MS) {
+                    const reminderEmbed = new EmbedBuilder()
+                        .setColor(0xF1C40F)
+                        .setDescription(
+                            `⏰ This ticket has been inactive for **${reminderHours}** hour(s). Please reply if you still need help.` +
+                            (closeHours ? ` Otherwise it will be closed automatically in **${closeHours}** hour(s).` : '')
+                        );
+                    if (ticket.modmail) {
+                        // Modmail openers only see their DMs
+                        const opener = await client.users.fetch(ticket.openerId).catch(() => null);
+                        await opener?.send({ embeds: [reminderEmbed] }).catch(() => {});
+                    }
+                    await channel.send({ content: ticket.modmail ? undefined : `<@${ticket.openerId}>`, embeds: [reminderEmbed] });
+                    await updateTicket(channel.id, { inactivityReminderAt: new Date() });
+                    continue;
+                }
+
+                // 2. Auto-close after the second period (counted from the reminder, or from the last message if reminders are off)
+                const closeFrom = ticket.inactivityReminderAt
+                    ? new Date(ticket.inactivityReminderAt).getTime()
+                    : (reminderHours ? null : lastActivity);
+
+                if (closeHours && closeFrom !== null && now - closeFrom >= closeHours * HOUR_MS) {
+                    await closeTicket(channel, ticket, config, client.user, false, 'No response (closed automatically due to inactivity)');
+                }
+            } catch (error) {
+                console.error(`Error checking inactivity for ticket channel ${ticket.channelId}:`, error);
+            }
+        }
+    } finally {
+        inactivitySweepRunning = false;
+    }
+}
+
 // --- BOT EVENTS ---
 
 client.on('ready', async () => {
@@ -598,9 +2790,58 @@ client.on('ready', async () => {
     } catch (error) {
         console.error('❌ Failed to register application commands:', error);
     }
+
+    // Start the inactivity scheduler
+    checkInactiveTickets();
+    setInterval(checkInactiveTickets, INACTIVITY_CHECK_INTERVAL_MS);
+
+    // Start delivering ticket events to the configured webhooks (and retrying failed deliveries)
+    startWebhookDispatcher();
+});
+
+// Track the last user message in each ticket (inactivity scheduler) and the first staff reply (statistics).
+// Direct messages and the staff messages of modmail tickets are relayed between the opener and the ticket.
+client.on('messageCreate', async message => {
+    if (message.author.bot) return;
+    if (!message.guild) {
+        return handleDirectMessage(message).catch(error => console.error('Error handling a direct message:', error));
+    }
+
+    const ticket = await touchTicketActivity(message.channel.id);
+    if (!ticket || (ticket.firstResponseAt && !ticket.modmail) || message.author.id === ticket.openerId || !message.member) return;
+
+    const config = await getGuildConfig(message.guild.id);
+    if (!isTicketStaff(message.member, config, ticket)) return;
+
+    if (!ticket.firstResponseAt) {
+        await updateTicket(message.channel.id, { firstResponseAt: message.createdAt, firstResponderId: message.author.id });
+    }
+
+    // Modmail openers cannot see the channel, so staff messages are relayed to their DMs
+    if (ticket.modmail && (message.content || message.attachments.size > 0)) {
+        const delivered = await relayToOpener(message.guild, ticket, config, message.member, message.content, message.attachments);
+        if (!delivered) {
+            await message.react('⚠️').catch(() => {});
+        }
+    }
 });
 
 
+/**
+ * Keeps ticket records consistent when a ticket channel or thread is deleted manually.
+ * @param {GuildChannel|ThreadChannel} channel The deleted channel or thread.
+ */
+async function handleTicketChannelDelete(channel) {
+    const ticket = await getTicketByChannel(channel.id);
+    if (ticket && ticket.status !== 'closed') {
+        await updateTicket(channel.id, { status: 'closed', closedAt: ticket.closedAt || new Date() });
+    }
+}
+
+client.on('channelDelete', handleTicketChannelDelete);
+client.on('threadDelete', handleTicketChannelDelete);
+
+
 client.on('interactionCreate', async interaction => {
     // --- Slash Command Handling ---
     if (interaction.isChatInputCommand()) {
@@ -622,6 +2863,17 @@ client.on('interactionCreate', async interaction => {
             }
         }
     } 
+    // --- Autocomplete Handling ---
+    else if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        if (!command || !command.autocomplete) return;
+
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            console.error(`Error handling autocomplete for ${interaction.commandName}:`, error);
+        }
+    }
     // --- Button/Select Menu/Modal Handling ---
     else if (interaction.isButton()) {
         const customId = interaction.customId;
@@ -629,76 +2881,90 @@ client.on('interactionCreate', async interaction => {
         if (customId === 'ticket_close_confirm') {
             await handleCloseTicketConfirm(interaction);
         } else if (customId === 'ticket_close_final') {
-            // Already handled by close confirm deferral, just execute the closing logic
-            await handleCloseTicket(interaction);
+            // Ask for the close reason; the modal submit runs the closing logic
+            const config = await getGuildConfig(interaction.guild.id);
+            await interaction.showModal(buildCloseReasonModal(config));
+        } else if (customId === 'ticket_close_request_accept') {
+            await handleCloseRequestResponse(interaction, true);
+        } else if (customId === 'ticket_close_request_deny') {
+            await handleCloseRequestResponse(interaction, false);
         } else if (customId === 'ticket_cancel_close') {
             await interaction.update({ content: '❌ Ticket closure cancelled.', components: [] });
         } else if (customId === 'ticket_claim') {
             // This handler is now async and defers its reply
             await handleClaimTicket(interaction, false);
+        } else if (customId === 'ticket_unclaim') {
+            await handleUnclaimTicket(interaction);
+        } else if (customId.startsWith('ticket_rate_')) {
+            // Format: ticket_rate_<ticketId>_<score> (sent in DMs, so there is no guild)
+            const [ticketId, score] = customId.replace('ticket_rate_', '').split('_');
+            await handleTicketRating(interaction, ticketId, parseInt(score, 10));
+        } else if (customId.startsWith('ticket_feedback_')) {
+            await handleFeedbackButton(interaction, customId.replace('ticket_feedback_', ''));
         } else if (customId.startsWith('ticket_open_')) {
-            const topicValue = customId.replace('ticket_open_', '');
+            const { value: topicValue, panelName } = parsePanelSuffix(customId.replace('ticket_open_', ''));
             const config = await getGuildConfig(interaction.guild.id);
-            const topic = config.ticketTopics.find(t => t.value === topicValue);
-
-            if (!topic) {
-                return interaction.reply({ content: '❌ Invalid ticket topic.', ephemeral: true });
+            const blacklistEntry = getBlacklistEntry(config, interaction.member);
+            if (blacklistEntry) {
+                return interaction.reply({ content: blacklistMessage(blacklistEntry), ephemeral: true });
             }
 
-            // Create a modal for additional information
-            const modal = new ModalBuilder()
-                .setCustomId(`ticket_modal_${topicValue}`)
-                .setTitle(`Open Ticket: ${topic.label}`);
-            
-            const descriptionInput = new TextInputBuilder()
-                .setCustomId('issue_description')
-                .setLabel('Please describe your issue (Required)')
-                .setStyle(TextInputStyle.Paragraph)
-                .setRequired(true)
-                .setMinLength(10)
-                .setMaxLength(1000);
-
-            const actionRow = new ActionRowBuilder().addComponents(descriptionInput);
-            modal.addComponents(actionRow);
+            const { topic, error } = resolvePanelTopic(config, topicValue, panelName);
+            if (error) {
+                return interaction.reply({ content: error, ephemeral: true });
+            }
 
-            await interaction.showModal(modal);
+            // Show the topic's intake form (the panel name is carried through)
+            await interaction.showModal(buildTicketModal(topic, panelName));
         }
     } else if (interaction.isModalSubmit()) {
         if (interaction.customId.startsWith('ticket_modal_')) {
             await interaction.deferReply({ ephemeral: true });
 
-            const topicValue = interaction.customId.replace('ticket_modal_', '');
-            const issueDescription = interaction.fields.getTextInputValue('issue_description');
+            const { value: topicValue, panelName } = parsePanelSuffix(interaction.customId.replace('ticket_modal_', ''));
+            const config = await getGuildConfig(interaction.guild.id);
+            const topic = config.ticketTopics.find(t => t.value === topicValue);
+            const { issueDescription, formAnswers } = readTicketModalAnswers(interaction, topic);
             
-            await handleTicketCreation(interaction, topicValue, issueDescription);
+            await handleTicketCreation(interaction, topicValue, issueDescription, panelName, formAnswers);
+        } else if (interaction.customId === 'ticket_close_reason_modal') {
+            // Edit the ephemeral confirmation message instead of sending a new reply
+            await interaction.deferUpdate();
+            const reason = interaction.fields.getTextInputValue('close_reason').trim() || null;
+            await handleCloseTicket(interaction, false, reason);
+        } else if (interaction.customId.startsWith('ticket_feedback_modal_')) {
+            await handleFeedbackSubmit(interaction, interaction.customId.replace('ticket_feedback_modal_', ''));
+        } else if (interaction.customId.startsWith('ticket_snippet_modal_')) {
+            // Format: ticket_snippet_modal_<add|edit>_<name>
+            const [mode, ...nameParts] = interaction.customId.replace('ticket_snippet_modal_', '').split('_');
+            await handleSnippetSubmit(interaction, mode, nameParts.join('_'));
         }
     } else if (interaction.isStringSelectMenu()) {
-        if (interaction.customId === 'ticket_panel_topic_select') {
+        if (interaction.customId === 'ticket_priority_select') {
+            await handleSetPriority(interaction, interaction.values[0]);
+        } else if (interaction.customId.startsWith('ticket_panel_topic_select')) {
              const topicValue = interaction.values[0]; // Only one selection is possible
+             const { panelName } = parsePanelSuffix(interaction.customId);
              const config = await getGuildConfig(interaction.guild.id);
-             const topic = config.ticketTopics.find(t => t.value === topicValue);
-
-             if (!topic) {
-                 return interaction.reply({ content: '❌ Invalid ticket topic.', ephemeral: true });
+             const blacklistEntry = getBlacklistEntry(config, interaction.member);
+             if (blacklistEntry) {
+                 return interaction.reply({ content: blacklistMessage(blacklistEntry), ephemeral: true });
              }
 
-             // Create a modal for additional information
-             const modal = new ModalBuilder()
-                 .setCustomId(`ticket_modal_${topicValue}`)
-                 .setTitle(`Open Ticket: ${topic.label}`);
-            
-             const descriptionInput = new TextInputBuilder()
-                 .setCustomId('issue_description')
-                 .setLabel('Please describe your issue (Required)')
-                 .setStyle(TextInputStyle.Paragraph)
-                 .setRequired(true)
-                 .setMinLength(10)
-                 .setMaxLength(1000);
-
-             const actionRow = new ActionRowBuilder().addComponents(descriptionInput);
-             modal.addComponents(actionRow);
+             const { topic, error } = resolvePanelTopic(config, topicValue, panelName);
+             if (error) {
+                 return interaction.reply({ content: error, ephemeral: true });
+             }
 
-             await interaction.showModal(modal);
+             // Show the topic's intake form (the panel name is carried through)
+             await interaction.showModal(buildTicketModal(topic, panelName));
+        } else if (interaction.customId.startsWith('modmail_guild_')) {
+            // Format: modmail_guild_<messageId> (sent in DMs, so there is no guild)
+            await handleModmailGuildSelect(interaction, interaction.customId.replace('modmail_guild_', ''));
+        } else if (interaction.customId.startsWith('modmail_topic_')) {
+            // Format: modmail_topic_<guildId>_<messageId>
+            const [guildId, messageId] = interaction.customId.replace('modmail_topic_', '').split('_');
+            await handleModmailTopicSelect(interaction, guildId, messageId);
         }
     }
 });
@@ -723,6 +2989,48 @@ app.get('/', (req, res) => {
     res.status(200).send('Bot is running and listening for Uptime Robot pings!');
 });
 
+// Stored transcript viewer, protected by the ticket's unguessable token
+app.get('/transcripts/:ticketId', async (req, res) => {
+    const ticket = await getTicketById(req.params.ticketId);
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+    const validToken = ticket?.transcriptKey && ticket.transcriptToken &&
+        token.length === ticket.transcriptToken.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(ticket.transcriptToken));
+    if (!validToken) {
+        return res.status(404).send('Transcript not found.');
+    }
+
+    try {
+        const transcript = await transcriptStore.get(ticket.transcriptKey);
+        if (!transcript) {
+            return res.status(404).send('Transcript not found.');
+        }
+
+        // The token is in the URL, so keep it out of referrers and search engines
+        res.set({
+            'Content-Type': (TRANSCRIPT_FORMATS[ticket.transcriptFormat] || TRANSCRIPT_FORMATS.html).contentType,
+            'Referrer-Policy': 'no-referrer',
+            'X-Robots-Tag': 'noindex, nofollow',
+            'Cache-Control': 'private, no-store',
+            ...TRANSCRIPT_SECURITY_HEADERS,
+        });
+        res.send(transcript);
+    } catch (error) {
+        console.error(`Failed to serve transcript for ticket ${ticket._id}:`, error);
+        res.status(500).send('Failed to load the transcript.');
+    }
+});
+
+// Versioned REST API for internal tools (per-guild API keys); mounted before the dashboard's /api routes
+app.use('/api/v1', createRestApiRouter({
+    client,
+    actions: { closeTicket, setTicketClaim, setTicketMember, isTicketStaff, getTranscriptUrl, getGuildConfig, fetchTicketChannel },
+}));
+
+// Web admin dashboard and its JSON API (Discord OAuth2 login)
+mountDashboard(app, { client, transcriptStore });
+
 // Start the web server
 app.listen(port, () => {
     console.log(`🌍 Web server listening on port ${port} for keep-alive pings.`);
@@ -742,10 +3050,22 @@ connectDB()
 module.exports = {
     handleTicketCreation,
     handleCloseTicket,
+    handleCloseRequest,
+    handleReopenTicket,
+    handleDeleteTicket,
+    handleTranscriptExport,
+    handleAddNote,
+    handleListNotes,
+    buildSnippetModal,
+    handleSnippetReply,
     handleClaimTicket,
+    handleUnclaimTicket,
     handleLockTicket,
+    handleSetPriority,
+    handleTransferTicket,
     handleRenameTicket,
     handleUserManagement,
+    sendTicketLog,
     getGuildConfig, 
     setGuildConfig, 
     updateGuildConfig,
@@ -0,0 +1,295 @@
+// rest_api.js
+// Versioned REST API (/api/v1) for internal tools. Requests are authenticated with per-guild API keys
+// (`Authorization: Bearer <key>`, created with /ticket-apikey), and each key only sees its own guild.
+// Ticket actions reuse the bot's core ticket functions, which are passed in by index.js.
+
+const crypto = require('crypto');
+const express = require('express');
+const { EmbedBuilder, ButtonStyle } = require('discord.js');
+const {
+    getGuildConfigByApiKey,
+    touchApiKey,
+    getTicketById,
+    getTicketsForGuild,
+} = require('./db_config.js');
+
+const API_KEY_PREFIX = 'tk_';
+
+/**
+ * Generates a new random API key.
+ * @returns {string} The API key (shown to the user once; only its hash is stored).
+ */
+function generateApiKey() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Hashes an API key for storage and lookup.
+ * @param {string} key The API key.
+ * @returns {string} The SHA-256 hash (hex).
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Sends a JSON error response.
+ * @param {Response} res The Express response.
+ * @param {number} status The HTTP status code.
+ * @param {string} message The error message.
+ */
+function sendError(res, status, message) {
+    res.status(status).json({ error: message });
+}
+
+/**
+ * Converts a ticket record to the representation returned by the API.
+ * @param {object} ticket The ticket record.
+ * @param {boolean} [detailed] Whether to include the form answers, claim history, staff notes and transcript link.
+ * @param {Function} [getTranscriptUrl] Builds the transcript link of a ticket.
+ * @returns {object} The ticket.
+ */
+function serializeTicket(ticket, detailed = false, getTranscriptUrl = null) {
+    const result = {
+        id: String(ticket._id),
+        number: ticket.ticketNumber,
+        guildId: ticket.guildId,
+        channelId: ticket.channelId,
+        openerId: ticket.openerId,
+        topic: { value: ticket.topicValue, label: ticket.topicLabel },
+        panelName: ticket.panelName,
+        priority: ticket.priority,
+        status: ticket.status,
+        claimedBy: ticket.claimedBy,
+        locked: ticket.locked,
+        createdAt: ticket.createdAt,
+        lastMessageAt: ticket.lastMessageAt,
+        closedAt: ticket.closedAt,
+        closedBy: ticket.closedBy,
+        closeReason: ticket.closeReason,
+        rating: ticket.rating,
+    };
+
+    if (detailed) {
+        Object.assign(result, {
+            issueDescription: ticket.issueDescription,
+            formAnswers: ticket.formAnswers || [],
+            staffRoleIds: ticket.staffRoleIds || [],
+            claimHistory: ticket.claimHistory || [],
+            firstResponseAt: ticket.firstResponseAt,
+            ratingFeedback: ticket.ratingFeedback,
+            notes: ticket.notes || [],
+            transcriptUrl: getTranscriptUrl ? getTranscriptUrl(ticket) : null,
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Creates the /api/v1 router.
+ * @param {object} options The bot client and the core ticket actions from index.js
+ *   (closeTicket, setTicketClaim, setTicketMember, isTicketStaff, getTranscriptUrl, getGuildConfig, fetchTicketChannel).
+ * @returns {Router} The Express router.
+ */
+function createRestApiRouter({ client, actions }) {
+    const router = express.Router();
+    router.use(express.json({ limit: '100kb' }));
+
+    // --- Authentication ---
+    router.use(async (req, res, next) => {
+        const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+        if (!match || !match[1].startsWith(API_KEY_PREFIX)) {
+            return sendError(res, 401, 'Missing or invalid API key. Use "Authorization: Bearer <key>".');
+        }
+
+        const keyHash = hashApiKey(match[1]);
+        const config = await getGuildConfigByApiKey(keyHash);
+        const guild = config && client.guilds.cache.get(config.guildId);
+        if (!guild) {
+            return sendError(res, 401, 'Invalid API key.');
+        }
+
+        req.guild = guild;
+        touchApiKey(guild.id, keyHash); // Not awaited: bookkeeping only
+        next();
+    });
+
+    /**
+     * Loads the ticket named in the URL (it must belong to the key's guild).
+     * For actions, the ticket must be open and its channel must still exist.
+     * @param {boolean} requireOpen Whether the ticket must be open.
+     * @returns {Function} The Express middleware.
+     */
+    function loadTicket(requireOpen) {
+        return async (req, res, next) => {
+            const ticket = await getTicketById(req.params.ticketId);
+            if (!ticket || ticket.guildId !== req.guild.id) {
+                return sendError(res, 404, 'Ticket not found.');
+            }
+
+            if (requireOpen) {
+                const channel = await actions.fetchTicketChannel(req.guild, ticket);
+                if (ticket.status !== 'open' || !channel) {
+                    return sendError(res, 409, 'The ticket is not open.');
+                }
+                req.channel = channel;
+            }
+
+            req.ticket = ticket;
+            next();
+        };
+    }
+
+    /**
+     * Resolves a member of the key's guild from a request body field.
+     * @param {Request} req The Express request.
+     * @param {string} userId The user ID.
+     * @returns {Promise<GuildMember|null>} The member, or null if the user is not in the guild.
+     */
+    async function fetchMember(req, userId) {
+        if (typeof userId !== 'string' || !/^\d{17,20}$/.test(userId)) return null;
+        return req.guild.members.fetch(userId).catch(() => null);
+    }
+
+    // --- Tickets ---
+
+    router.get('/tickets', async (req, res) => {
+        const { status, topic, user, claimer, before } = req.query;
+        // The extended query parser turns ?user[$ne]=x into an object, which must never reach the database filter
+        if ([status, topic, user, claimer, before].some(value => value !== undefined && typeof value !== 'string')) {
+            return sendError(res, 400, 'Query parameters must be plain strings.');
+        }
+        if (status && !['open', 'archived', 'closed'].includes(status)) {
+            return sendError(res, 400, 'status must be one of: open, archived, closed.');
+        }
+
+        const beforeDate = before ? new Date(before) : null;
+        if (beforeDate && isNaN(beforeDate)) {
+            return sendError(res, 400, 'before must be an ISO 8601 date.');
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const tickets = await getTicketsForGuild(req.guild.id, {
+            status: status,
+            topicValue: topic,
+            openerId: user,
+            claimedBy: claimer,
+            before: beforeDate,
+        }, limit);
+
+        res.json({ tickets: tickets.map(ticket => serializeTicket(ticket)) });
+    });
+
+    router.get('/tickets/:ticketId', loadTicket(false), (req, res) => {
+        res.json({ ticket: serializeTicket(req.ticket, true, actions.getTranscriptUrl) });
+    });
+
+    router.post('/tickets/:ticketId/close', loadTicket(true), async (req, res) => {
+        const { reason = null, silent = false } = req.body || {};
+        if ((reason !== null && (typeof reason !== 'string' || reason.length > 500)) || typeof silent !== 'boolean') {
+            return sendError(res, 400, 'reason must be a string of at most 500 characters and silent a boolean.');
+        }
+
+        try {
+            const config = await actions.getGuildConfig(req.guild.id);
+            await actions.closeTicket(req.channel, req.ticket, config, client.user, silent, reason);
+            res.json({ ticket: serializeTicket(await getTicketById(req.ticket._id)) });
+        } catch (error) {
+            console.error('Error closing ticket through the API:', error);
+            sendError(res, 500, 'Failed to close the ticket.');
+        }
+    });
+
+    router.post('/tickets/:ticketId/claim', loadTicket(true), async (req, res) => {
+        const { userId = null } = req.body || {};
+        const config = await actions.getGuildConfig(req.guild.id);
+
+        // A null userId releases the claim
+        if (userId !== null) {
+            const member = await fetchMember(req, userId);
+            if (!member || !actions.isTicketStaff(member, config, req.ticket)) {
+                return sendError(res, 400, 'userId must be a support staff member for this ticket.');
+            }
+        }
+
+        try {
+            const updatedTicket = await actions.setTicketClaim(req.channel, req.ticket, config, userId);
+
+            const claimEmbed = new EmbedBuilder()
+                .setColor(userId ? ButtonStyle.Success : 0xF1C40F)
+                .setDescription(userId
+                    ? `✅ This ticket has been claimed by <@${userId}>. The staff member will assist you shortly.`
+                    : '↩️ This ticket has been released. Another staff member will pick it up shortly.');
+            await req.channel.send({ embeds: [claimEmbed] });
+            res.json({ ticket: serializeTicket(updatedTicket) });
+        } catch (error) {
+            console.error('Error claiming ticket through the API:', error);
+            sendError(res, 500, 'Failed to update the claim.');
+        }
+    });
+
+    router.post('/tickets/:ticketId/users', loadTicket(true), async (req, res) => {
+        const member = await fetchMember(req, req.body?.userId);
+        if (!member) {
+            return sendError(res, 400, 'userId must be a member of the server.');
+        }
+
+        try {
+            const embed = await actions.setTicketMember(req.channel, req.ticket, member.id, true, client.user.id);
+            await req.channel.send({ embeds: [embed] });
+            res.status(204).end();
+        } catch (error) {
+            console.error('Error adding user through the API:', error);
+            sendError(res, 500, 'Failed to add the user.');
+        }
+    });
+
+    router.delete('/tickets/:ticketId/users/:userId', loadTicket(true), async (req, res) => {
+        // Only regular members can be removed: the ID must never reach the @everyone, staff role or bot overwrites
+        const staffRoleIds = req.ticket.staffRoleIds || [];
+        const member = req.params.userId === req.guild.id || staffRoleIds.includes(req.params.userId)
+            ? null
+            : await fetchMember(req, req.params.userId);
+        if (!member || member.id === client.user.id) {
+            return sendError(res, 400, 'userId must be a member of the server.');
+        }
+        if (member.id === req.ticket.openerId) {
+            return sendError(res, 400, 'The ticket opener cannot be removed.');
+        }
+
+        try {
+            const embed = await actions.setTicketMember(req.channel, req.ticket, member.id, false, client.user.id);
+            await req.channel.send({ embeds: [embed] });
+            res.status(204).end();
+        } catch (error) {
+            console.error('Error removing user through the API:', error);
+            sendError(res, 500, 'Failed to remove the user.');
+        }
+    });
+
+    router.post('/tickets/:ticketId/messages', loadTicket(true), async (req, res) => {
+        const { content } = req.body || {};
+        if (typeof content !== 'string' || !content.trim() || content.length > 2000) {
+            return sendError(res, 400, 'content must be a non-empty string of at most 2000 characters.');
+        }
+
+        try {
+            // Only user mentions are allowed, so API messages cannot ping roles or @everyone
+            const message = await req.channel.send({ content: content, allowedMentions: { parse: ['users'] } });
+            res.status(201).json({ messageId: message.id });
+        } catch (error) {
+            console.error('Error posting message through the API:', error);
+            sendError(res, 500, 'Failed to post the message.');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRestApiRouter,
+    generateApiKey,
+    hashApiKey,
+    serializeTicket,
+};
\ No newline at end of file
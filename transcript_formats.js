@@ -0,0 +1,273 @@
+// transcript_formats.js
+// Renders ticket transcripts in the supported export formats (HTML, plain text, Markdown and JSON).
+
+const { createTranscript, generateFromMessages, ExportReturnType } = require('discord-html-transcripts');
+
+// Supported transcript formats: file extension and the content type used by the web viewer
+const TRANSCRIPT_FORMATS = {
+    html: { label: 'HTML', extension: 'html', contentType: 'text/html; charset=utf-8' },
+    text: { label: 'Plain Text', extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+    markdown: { label: 'Markdown', extension: 'md', contentType: 'text/plain; charset=utf-8' }, // Shown as text in browsers
+    json: { label: 'JSON', extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+// Headers for serving stored transcripts. HTML transcripts load scripts from a CDN, so they run in a sandbox
+// without the site's origin and cannot use the dashboard session served from the same host.
+const TRANSCRIPT_SECURITY_HEADERS = {
+    'Content-Security-Policy': 'sandbox allow-scripts',
+    'X-Content-Type-Options': 'nosniff',
+};
+
+/**
+ * Fetches every message of a channel, oldest first.
+ * @param {TextChannel|DMChannel} channel The ticket channel (or the opener's DMs for modmail tickets).
+ * @param {Date|null} [since] Only fetch the messages sent from this date on.
+ * @returns {Promise<Message[]>} The messages.
+ */
+async function fetchAllMessages(channel, since = null) {
+    const messages = [];
+    let before;
+
+    while (true) {
+        const batch = await channel.messages.fetch({ limit: 100, before: before });
+        messages.push(...batch.values());
+        if (batch.size < 100 || (since && batch.last().createdAt < since)) break;
+        before = batch.lastKey();
+    }
+
+    return messages.filter(message => !since || message.createdAt >= since).reverse();
+}
+
+/**
+ * Converts a message to the structured form used by the JSON, text and Markdown formats.
+ * @param {Message} message The Discord message.
+ * @returns {object} The serializable message.
+ */
+function serializeMessage(message) {
+    return {
+        id: message.id,
+        author: {
+            id: message.author.id,
+            username: message.author.username,
+            displayName: message.member?.displayName || message.author.displayName || message.author.username,
+            bot: message.author.bot,
+        },
+        content: message.content,
+        createdAt: message.createdAt.toISOString(),
+        editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+        replyTo: message.reference?.messageId || null,
+        attachments: [...message.attachments.values()].map(attachment => ({
+            name: attachment.name,
+            url: attachment.url,
+            size: attachment.size,
+            contentType: attachment.contentType,
+        })),
+        embeds: message.embeds.map(embed => embed.toJSON()),
+    };
+}
+
+/**
+ * Formats a timestamp for the text and Markdown formats (e.g., "2024-05-01 14:03:22 UTC").
+ * @param {string} isoDate The ISO 8601 date.
+ * @returns {string} The formatted timestamp.
+ */
+function formatTimestamp(isoDate) {
+    return `${isoDate.replace('T', ' ').slice(0, 19)} UTC`;
+}
+
+/**
+ * Summarizes an embed as a single line of text.
+ * @param {object} embed The embed data.
+ * @returns {string} The summary.
+ */
+function describeEmbed(embed) {
+    return [embed.title, embed.description].filter(Boolean).join(' — ').replace(/\n/g, ' ') || '(embed)';
+}
+
+/**
+ * Converts staff notes to the structured form used by the transcript formats.
+ * @param {object[]} notes The ticket's notes.
+ * @returns {object[]} The serializable notes.
+ */
+function serializeNotes(notes) {
+    return notes.map(note => ({
+        authorId: note.authorId,
+        authorName: note.authorName,
+        content: note.content,
+        createdAt: new Date(note.createdAt).toISOString(),
+    }));
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Appends a staff notes section to an HTML transcript.
+ * @param {Buffer} html The transcript generated by discord-html-transcripts.
+ * @param {object[]} notes The serialized notes.
+ * @returns {Buffer} The transcript with the notes section.
+ */
+function appendHtmlNotes(html, notes) {
+    const section =
+        '<section style="margin:24px;padding:16px;border-left:4px solid #f1c40f;background:#2b2d31;color:#dbdee1;font-family:sans-serif">' +
+        '<h2 style="margin-top:0">🔒 Staff Notes</h2>' +
+        notes.map(note =>
+            `<p><strong>${escapeHtml(note.authorName)}</strong> <small>(${escapeHtml(note.authorId)}) — ${formatTimestamp(note.createdAt)}</small><br>` +
+            `${escapeHtml(note.content).replace(/\n/g, '<br>')}</p>`
+        ).join('') +
+        '</section>';
+
+    const document = html.toString('utf-8');
+    const bodyEnd = document.lastIndexOf('</body>');
+    return Buffer.from(bodyEnd === -1 ? document + section : document.slice(0, bodyEnd) + section + document.slice(bodyEnd), 'utf-8');
+}
+
+/**
+ * Renders a plain text transcript.
+ * @param {object} header The ticket details shown at the top.
+ * @param {object[]} messages The serialized messages.
+ * @param {object[]} notes The serialized staff notes (empty for the opener's copy).
+ * @returns {string} The transcript.
+ */
+function renderText(header, messages, notes) {
+    const lines = [
+        `Ticket #${header.ticketNumber} — ${header.channelName}`,
+        `Opened by: ${header.openerId} | Topic: ${header.topic} | Generated: ${formatTimestamp(header.generatedAt)}`,
+        '',
+    ];
+
+    for (const message of messages) {
+        lines.push(`[${formatTimestamp(message.createdAt)}] ${message.author.displayName} (${message.author.id}): ${message.content}`);
+        message.attachments.forEach(attachment => lines.push(`    [Attachment] ${attachment.name}: ${attachment.url}`));
+        message.embeds.forEach(embed => lines.push(`    [Embed] ${describeEmbed(embed)}`));
+    }
+
+    if (notes.length > 0) {
+        lines.push('', '--- Staff Notes ---');
+        notes.forEach(note => lines.push(`[${formatTimestamp(note.createdAt)}] ${note.authorName} (${note.authorId}): ${note.content}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Renders a Markdown transcript.
+ * @param {object} header The ticket details shown at the top.
+ * @param {object[]} messages The serialized messages.
+ * @param {object[]} notes The serialized staff notes (empty for the opener's copy).
+ * @returns {string} The transcript.
+ */
+function renderMarkdown(header, messages, notes) {
+    const lines = [
+        `# Ticket #${header.ticketNumber} — ${header.channelName}`,
+        '',
+        `- **Opened by:** ${header.openerId}`,
+        `- **Topic:** ${header.topic}`,
+        `- **Generated:** ${formatTimestamp(header.generatedAt)}`,
+        '',
+        '---',
+    ];
+
+    for (const message of messages) {
+        lines.push('', `**${message.author.displayName}**${message.author.bot ? ' `BOT`' : ''} — *${formatTimestamp(message.createdAt)}*`);
+        if (message.content) lines.push('', message.content);
+        message.attachments.forEach(attachment => lines.push('', `📎 [${attachment.name}](${attachment.url})`));
+        message.embeds.forEach(embed => lines.push('', `> ${describeEmbed(embed)}`));
+    }
+
+    if (notes.length > 0) {
+        lines.push('', '---', '', '## 🔒 Staff Notes');
+        notes.forEach(note => lines.push('', `**${note.authorName}** — *${formatTimestamp(note.createdAt)}*`, '', note.content));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generates a transcript of a ticket channel in the given format.
+ * The channel is only rendered once: with notes, the staff copy is the opener's copy plus the notes section.
+ * @param {TextChannel|DMChannel} channel The ticket channel (or the opener's DMs for the opener's copy of a modmail ticket).
+ * @param {object} ticket The ticket record.
+ * @param {string} format The format key (see TRANSCRIPT_FORMATS).
+ * @param {boolean} [includeNotes] Whether to include the staff notes (staff copy only, never the opener's copy).
+ * @param {Date|null} [since] Only include the messages sent from this date on (DMs hold more than one ticket).
+ * @returns {Promise<{ data: Buffer, openerData: Buffer, fileName: string, format: string }>} The rendered transcript,
+ * and the same transcript without the staff notes (identical to data when there are none).
+ */
+async function generateTranscript(channel, ticket, format, includeNotes = false, since = null) {
+    const formatKey = TRANSCRIPT_FORMATS[format] ? format : 'html';
+    const fileName = `ticket-${ticket.ticketNumber}.${TRANSCRIPT_FORMATS[formatKey].extension}`;
+    const notes = includeNotes ? serializeNotes(ticket.notes || []) : [];
+
+    if (formatKey === 'html') {
+        const options = {
+            saveImages: true,
+            poweredBy: false,
+            returnType: ExportReturnType.Buffer,
+        };
+        const openerData = since
+            ? await generateFromMessages(await fetchAllMessages(channel, since), channel, options)
+            : await createTranscript(channel, { ...options, limit: -1 }); // No message limit
+        const data = notes.length > 0 ? appendHtmlNotes(openerData, notes) : openerData;
+        return { data, openerData, fileName, format: formatKey };
+    }
+
+    const messages = (await fetchAllMessages(channel, since)).map(serializeMessage);
+    const header = {
+        ticketNumber: ticket.ticketNumber,
+        channelName: channel.name || 'Direct Messages',
+        openerId: ticket.openerId,
+        topic: ticket.topicLabel,
+        generatedAt: new Date().toISOString(),
+    };
+
+    /**
+     * Renders the fetched messages, with or without the staff notes.
+     * @param {object[]|null} renderedNotes The serialized notes to include (null for the opener's copy).
+     * @returns {Buffer} The transcript.
+     */
+    const render = renderedNotes => {
+        let output;
+        if (formatKey === 'json') {
+            output = JSON.stringify({
+                ticket: {
+                    id: String(ticket._id),
+                    number: ticket.ticketNumber,
+                    guildId: ticket.guildId,
+                    channelId: ticket.channelId,
+                    channelName: header.channelName,
+                    openerId: ticket.openerId,
+                    topic: { value: ticket.topicValue, label: ticket.topicLabel },
+                    priority: ticket.priority,
+                    claimedBy: ticket.claimedBy,
+                    status: ticket.status,
+                    createdAt: ticket.createdAt,
+                    formAnswers: ticket.formAnswers || [],
+                },
+                generatedAt: header.generatedAt,
+                messages: messages,
+                ...(renderedNotes ? { staffNotes: renderedNotes } : {}),
+            }, null, 2);
+        } else if (formatKey === 'markdown') {
+            output = renderMarkdown(header, messages, renderedNotes || []);
+        } else {
+            output = renderText(header, messages, renderedNotes || []);
+        }
+        return Buffer.from(output, 'utf-8');
+    };
+
+    const data = render(includeNotes ? notes : null);
+    return { data, openerData: includeNotes ? render(null) : data, fileName, format: formatKey };
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    TRANSCRIPT_SECURITY_HEADERS,
+    generateTranscript,
+};
\ No newline at end of file
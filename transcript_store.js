@@ -0,0 +1,153 @@
+// transcript_store.js
+// Pluggable storage for ticket transcripts, so they survive the deletion of log messages and DMs.
+// Select the backend with TRANSCRIPT_STORE ('local' by default, or 's3' for any S3-compatible service).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// --- LOCAL FILESYSTEM STORE ---
+
+/**
+ * Creates a store that keeps transcripts on the local filesystem.
+ * @param {string} baseDir The directory transcripts are written to.
+ * @returns {object} The transcript store.
+ */
+function createLocalStore(baseDir) {
+    const root = path.resolve(baseDir);
+
+    /**
+     * Resolves a storage key to a file path, refusing keys that escape the base directory.
+     * @param {string} key The storage key.
+     * @returns {string} The absolute file path.
+     */
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid transcript key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async save(key, data, contentType) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, data);
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+    };
+}
+
+// --- S3-COMPATIBLE STORE ---
+
+/**
+ * Creates a store that keeps transcripts in an S3-compatible bucket.
+ * `@aws-sdk/client-s3` is an optional dependency and is only loaded when this store is selected.
+ * @param {object} options The bucket settings (bucket, region, endpoint, credentials, forcePathStyle, prefix).
+ * @returns {object} The transcript store.
+ */
+function createS3Store(options) {
+    let s3;
+    try {
+        s3 = require('@aws-sdk/client-s3');
+    } catch (error) {
+        throw new Error('TRANSCRIPT_STORE is set to "s3" but @aws-sdk/client-s3 is not installed. Run `npm install @aws-sdk/client-s3`.');
+    }
+
+    if (!options.bucket) {
+        throw new Error('TRANSCRIPT_STORE is set to "s3" but S3_BUCKET is not set.');
+    }
+
+    const client = new s3.S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        credentials: options.accessKeyId
+            ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            : undefined, // Fall back to the SDK's default credential chain
+    });
+    const objectKey = key => `${options.prefix || ''}${key}`;
+
+    return {
+        name: 's3',
+
+        async save(key, data, contentType) {
+            await client.send(new s3.PutObjectCommand({
+                Bucket: options.bucket,
+                Key: objectKey(key),
+                Body: data,
+                ContentType: contentType || 'text/html; charset=utf-8',
+            }));
+        },
+
+        async get(key) {
+            try {
+                const result = await client.send(new s3.GetObjectCommand({ Bucket: options.bucket, Key: objectKey(key) }));
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new s3.DeleteObjectCommand({ Bucket: options.bucket, Key: objectKey(key) }));
+        },
+    };
+}
+
+// --- STORE SELECTION ---
+
+/**
+ * Creates the transcript store selected by the environment variables.
+ * @returns {object} The transcript store ({ name, save(key, data, contentType), get(key), remove(key) }).
+ */
+function createTranscriptStore() {
+    const type = (process.env.TRANSCRIPT_STORE || 'local').toLowerCase();
+
+    if (type === 's3') {
+        return createS3Store({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            prefix: process.env.S3_PREFIX,
+        });
+    }
+
+    if (type !== 'local') {
+        console.warn(`⚠️ Unknown TRANSCRIPT_STORE "${type}", falling back to the local filesystem.`);
+    }
+    return createLocalStore(process.env.TRANSCRIPT_DIR || './transcripts');
+}
+
+/**
+ * Builds the storage key of a ticket's transcript.
+ * @param {object} ticket The ticket record.
+ * @param {string} [extension] The file extension of the transcript format.
+ * @returns {string} The storage key.
+ */
+function getTranscriptKey(ticket, extension = 'html') {
+    return `${ticket.guildId}/${ticket._id}.${extension}`;
+}
+
+module.exports = {
+    createTranscriptStore,
+    getTranscriptKey,
+};
\ No newline at end of file
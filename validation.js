@@ -0,0 +1,287 @@
+// validation.js
+// Validation of guild configuration and topic changes, shared by the slash commands and the dashboard API
+// so both enforce the same rules. Validators return an error message, or null if the change is valid.
+
+const { PermissionsBitField, ChannelType } = require('discord.js');
+const { TRANSCRIPT_FORMATS } = require('./transcript_formats.js');
+
+// --- Permissions Definitions ---
+const REQUIRED_LOGS_PERMISSIONS = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessages,
+    PermissionsBitField.Flags.AttachFiles
+];
+const REQUIRED_CATEGORY_PERMISSIONS = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.ManageChannels, // Required to set permissions for new channels
+];
+const REQUIRED_THREAD_PERMISSIONS = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessagesInThreads,
+    PermissionsBitField.Flags.CreatePrivateThreads,
+    PermissionsBitField.Flags.ManageThreads, // Required to lock, archive and remove members from ticket threads
+];
+
+const TICKET_PRIORITY_VALUES = ['low', 'normal', 'high', 'urgent'];
+
+// Discord limits: button labels (80), select option descriptions (100), components per select menu (25)
+const MAX_TOPIC_LABEL_LENGTH = 80;
+const MAX_TOPIC_DESCRIPTION_LENGTH = 100;
+const MAX_TOPICS = 25;
+
+// Discord allows 50 channels per category; overflow categories take the tickets that no longer fit
+const MAX_CHANNELS_PER_CATEGORY = 50;
+const MAX_OVERFLOW_CATEGORIES = 10;
+
+// Editable GuildConfig fields, the rule each value must satisfy and the value used when a field is missing
+const CONFIG_FIELD_RULES = {
+    categoryId: { type: 'category', nullable: true, default: null },
+    overflowCategoryIds: { type: 'categoryList', max: MAX_OVERFLOW_CATEGORIES, default: [] },
+    autoCreateOverflow: { type: 'boolean', default: false },
+    ticketMode: { type: 'enum', values: ['channel', 'thread'], default: 'channel' },
+    threadChannelId: { type: 'threadChannel', nullable: true, default: null },
+    archiveCategoryId: { type: 'category', nullable: true, default: null },
+    logsChannelId: { type: 'textChannel', nullable: true, default: null },
+    feedbackChannelId: { type: 'textChannel', nullable: true, default: null },
+    supportRoleId: { type: 'role', nullable: true, default: null },
+    escalationRoleId: { type: 'role', nullable: true, default: null },
+    exclusiveClaim: { type: 'boolean', default: false },
+    closeMode: { type: 'enum', values: ['delete', 'archive'], default: 'delete' },
+    transcriptFormat: { type: 'enum', values: Object.keys(TRANSCRIPT_FORMATS), default: 'html' },
+    inactivityReminderHours: { type: 'integer', min: 1, max: 720, nullable: true, default: null },
+    inactivityCloseHours: { type: 'integer', min: 1, max: 720, nullable: true, default: null },
+    maxOpenTicketsPerUser: { type: 'integer', min: 0, max: 50, default: 1 },
+    maxOpenTicketsPerTopic: { type: 'integer', min: 0, max: 50, default: 0 },
+    maxOpenTickets: { type: 'integer', min: 0, max: 1000, default: 0 },
+    ticketCooldownMinutes: { type: 'integer', min: 0, max: 10080, default: 0 },
+    modmailEnabled: { type: 'boolean', default: false },
+    modmailAnonymous: { type: 'boolean', default: true },
+};
+
+/**
+ * Checks that a channel ID is a category the bot can create ticket channels in.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} channelId The ID of the category.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateCategory(guild, channelId) {
+    const category = guild.channels.cache.get(channelId);
+    if (!category || category.type !== ChannelType.GuildCategory) {
+        return `❌ \`${channelId}\` is not a category in this server.`;
+    }
+    if (!guild.members.me.permissionsIn(category).has(REQUIRED_CATEGORY_PERMISSIONS)) {
+        return `❌ Bot requires the following permissions in the **${category.name}** category: \`${REQUIRED_CATEGORY_PERMISSIONS.join(', ')}\`.`;
+    }
+    return null;
+}
+
+/**
+ * Counts the channels in a category (Discord allows at most MAX_CHANNELS_PER_CATEGORY).
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} categoryId The ID of the category.
+ * @returns {number} The number of channels in the category.
+ */
+function countCategoryChannels(guild, categoryId) {
+    return guild.channels.cache.filter(channel => channel.parentId === categoryId && !channel.isThread()).size;
+}
+
+/**
+ * Checks that a channel ID is a text channel the bot can post logs in.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} channelId The ID of the channel.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateTextChannel(guild, channelId) {
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || channel.type !== ChannelType.GuildText) {
+        return `❌ \`${channelId}\` is not a text channel in this server.`;
+    }
+    if (!guild.members.me.permissionsIn(channel).has(REQUIRED_LOGS_PERMISSIONS)) {
+        return `❌ Bot requires the following permissions in the **${channel.name}** channel: \`${REQUIRED_LOGS_PERMISSIONS.join(', ')}\`.`;
+    }
+    return null;
+}
+
+/**
+ * Checks that a channel ID is a text channel the bot can open ticket threads in.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {string} channelId The ID of the channel.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateThreadChannel(guild, channelId) {
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || channel.type !== ChannelType.GuildText) {
+        return `❌ \`${channelId}\` is not a text channel in this server.`;
+    }
+    if (!guild.members.me.permissionsIn(channel).has(REQUIRED_THREAD_PERMISSIONS)) {
+        return `❌ Bot requires the following permissions in the **${channel.name}** channel: \`${REQUIRED_THREAD_PERMISSIONS.join(', ')}\`.`;
+    }
+    return null;
+}
+
+/**
+ * Checks that an integer setting is within its allowed range.
+ * @param {string} name The setting name (for the error message).
+ * @param {*} value The value.
+ * @param {number} min The minimum value.
+ * @param {number} max The maximum value.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateInteger(name, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return `❌ \`${name}\` must be a whole number between ${min} and ${max}.`;
+    }
+    return null;
+}
+
+/**
+ * Validates a partial guild configuration update.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} config The current guild configuration object.
+ * @param {object} update The fields to change (null clears an optional channel, role or inactivity setting).
+ * @returns {string|null} An error message, or null if the update is valid.
+ */
+function validateConfigUpdate(guild, config, update) {
+    for (const [field, value] of Object.entries(update)) {
+        // Own properties only: keys like `constructor` or `__proto__` must not resolve to inherited members
+        const rule = Object.hasOwn(CONFIG_FIELD_RULES, field) ? CONFIG_FIELD_RULES[field] : null;
+        if (!rule) {
+            return `❌ \`${field}\` is not a configurable setting.`;
+        }
+
+        if (value === null || value === undefined) {
+            if (rule.nullable) continue;
+            return `❌ \`${field}\` cannot be empty.`;
+        }
+
+        let error = null;
+        switch (rule.type) {
+            case 'category':
+                error = typeof value === 'string' ? validateCategory(guild, value) : `❌ \`${field}\` must be a category ID.`;
+                break;
+            case 'categoryList':
+                if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+                    error = `❌ \`${field}\` must be a list of category IDs.`;
+                } else if (value.length > rule.max) {
+                    error = `❌ \`${field}\` can contain at most ${rule.max} categories.`;
+                } else if (new Set(value).size !== value.length) {
+                    error = `❌ \`${field}\` contains the same category more than once.`;
+                } else {
+                    for (const id of value) {
+                        error = validateCategory(guild, id);
+                        if (error) break;
+                    }
+                }
+                break;
+            case 'textChannel':
+                error = typeof value === 'string' ? validateTextChannel(guild, value) : `❌ \`${field}\` must be a channel ID.`;
+                break;
+            case 'threadChannel':
+                error = typeof value === 'string' ? validateThreadChannel(guild, value) : `❌ \`${field}\` must be a channel ID.`;
+                break;
+            case 'role':
+                if (typeof value !== 'string' || !guild.roles.cache.has(value)) {
+                    error = `❌ \`${value}\` is not a role in this server.`;
+                }
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') error = `❌ \`${field}\` must be true or false.`;
+                break;
+            case 'enum':
+                if (!rule.values.includes(value)) error = `❌ \`${field}\` must be one of: ${rule.values.join(', ')}.`;
+                break;
+            case 'integer':
+                error = validateInteger(field, value, rule.min, rule.max);
+                break;
+        }
+
+        if (error) return error;
+    }
+
+    const categoryId = 'categoryId' in update ? update.categoryId : config.categoryId;
+    const overflowCategoryIds = update.overflowCategoryIds ?? config.overflowCategoryIds ?? [];
+    if (categoryId && overflowCategoryIds.includes(categoryId)) {
+        return '❌ The ticket category cannot also be an overflow category.';
+    }
+
+    const ticketMode = update.ticketMode ?? config.ticketMode;
+    const threadChannelId = 'threadChannelId' in update ? update.threadChannelId : config.threadChannelId;
+    if (ticketMode === 'thread' && !threadChannelId) {
+        return '❌ Thread mode requires a thread channel. Set the channel tickets are opened in first.';
+    }
+
+    // Archived threads stay where they are, so only channel tickets need an archive category
+    const closeMode = update.closeMode ?? config.closeMode;
+    const archiveCategoryId = 'archiveCategoryId' in update ? update.archiveCategoryId : config.archiveCategoryId;
+    if (closeMode === 'archive' && ticketMode !== 'thread' && !archiveCategoryId) {
+        return '❌ Archive mode requires an archive category. Set the archive category first.';
+    }
+
+    return null;
+}
+
+/**
+ * Validates a ticket topic before it is saved.
+ * @param {Guild} guild The Discord Guild object.
+ * @param {object} topic The topic to validate.
+ * @param {object[]} otherTopics The guild's other topics (used for the uniqueness and count checks).
+ * @returns {string|null} An error message, or null if the topic is valid.
+ */
+function validateTopic(guild, topic, otherTopics) {
+    if (typeof topic.label !== 'string' || !topic.label.trim() || topic.label.length > MAX_TOPIC_LABEL_LENGTH) {
+        return `❌ The topic label must be between 1 and ${MAX_TOPIC_LABEL_LENGTH} characters.`;
+    }
+    if (typeof topic.value !== 'string' || !/^[a-z0-9_]{1,50}$/.test(topic.value)) {
+        return '❌ The topic value must be 1-50 lowercase letters, numbers or underscores.';
+    }
+    if (typeof topic.description !== 'string' || !topic.description.trim() || topic.description.length > MAX_TOPIC_DESCRIPTION_LENGTH) {
+        return `❌ The topic description must be between 1 and ${MAX_TOPIC_DESCRIPTION_LENGTH} characters.`;
+    }
+    if (otherTopics.some(t => t.value === topic.value)) {
+        return `❌ A topic with the unique value \`${topic.value}\` already exists.`;
+    }
+    if (otherTopics.length >= MAX_TOPICS) {
+        return `❌ A server can have at most ${MAX_TOPICS} topics.`;
+    }
+
+    if (topic.categoryId) {
+        const error = validateCategory(guild, topic.categoryId);
+        if (error) return error;
+    }
+    if (topic.emoji !== null && topic.emoji !== undefined && typeof topic.emoji !== 'string') {
+        return '❌ The topic emoji must be a character or a custom emoji ID.';
+    }
+    if (topic.staffRoleIds !== undefined && !Array.isArray(topic.staffRoleIds)) {
+        return '❌ The staff roles must be a list of role IDs.';
+    }
+    const invalidRoleId = (topic.staffRoleIds || []).find(roleId => !guild.roles.cache.has(roleId));
+    if (invalidRoleId) {
+        return `❌ \`${invalidRoleId}\` is not a role in this server.`;
+    }
+    if (topic.channelNameTemplate && (!topic.channelNameTemplate.includes('{number}') || topic.channelNameTemplate.length > 90)) {
+        return '❌ The name template must contain `{number}` (so every ticket channel has a unique name) and be at most 90 characters.';
+    }
+    if (topic.defaultPriority && !TICKET_PRIORITY_VALUES.includes(topic.defaultPriority)) {
+        return `❌ The default priority must be one of: ${TICKET_PRIORITY_VALUES.join(', ')}.`;
+    }
+    for (const field of ['inactivityReminderHours', 'inactivityCloseHours']) {
+        if (topic[field] !== null && topic[field] !== undefined) {
+            const error = validateInteger(field, topic[field], 0, 720); // 0 = off for this topic
+            if (error) return error;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    REQUIRED_LOGS_PERMISSIONS,
+    REQUIRED_CATEGORY_PERMISSIONS,
+    MAX_CHANNELS_PER_CATEGORY,
+    MAX_OVERFLOW_CATEGORIES,
+    CONFIG_FIELD_RULES,
+    countCategoryChannels,
+    validateThreadChannel,
+    validateConfigUpdate,
+    validateTopic,
+};
\ No newline at end of file
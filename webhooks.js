@@ -0,0 +1,299 @@
+// webhooks.js
+// Outgoing webhooks: guild admins register HTTPS endpoints (/ticket-webhook) that receive a signed JSON POST
+// for the ticket events they subscribe to. Every delivery is persisted, so failed deliveries are retried
+// with backoff (also across restarts) and the recent history can be inspected.
+//
+// Each request carries these headers:
+//   X-Tickety-Event      The event name (e.g., "closed", or "ping" for test deliveries)
+//   X-Tickety-Delivery   The delivery ID (identical across retries, usable for deduplication)
+//   X-Tickety-Timestamp  Unix time (seconds) of this attempt
+//   X-Tickety-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const {
+    getGuildConfig,
+    getTicketById,
+    createWebhookDelivery,
+    claimDueWebhookDelivery,
+    updateWebhookDelivery,
+} = require('./db_config.js');
+const { onTicketEvent } = require('./events.js');
+const { serializeTicket } = require('./rest_api.js');
+
+// Delay before each retry; a delivery is marked failed once these are exhausted
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_LEASE_MS = 60 * 1000; // Reservation while an attempt is in flight
+const RETRY_SWEEP_INTERVAL_MS = 15 * 1000;
+const MAX_DELIVERIES_PER_SWEEP = 50;
+let retrySweepRunning = false;
+
+// Endpoints may not point into the bot's own network: loopback, private, CGNAT, link-local (including cloud
+// metadata services), unique local, multicast and reserved ranges are refused, both when a webhook is added
+// and at connection time (so a DNS record cannot be switched to an internal address after the check)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Generates a new webhook signing secret.
+ * @returns {string} The secret (shown to the user once).
+ */
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signs a delivery body.
+ * @param {string} secret The webhook secret.
+ * @param {string} timestamp The Unix timestamp (seconds) sent in X-Tickety-Timestamp.
+ * @param {string} body The JSON body.
+ * @returns {string} The hex HMAC-SHA256 signature.
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Checks whether an IP address is in a range webhooks may not reach.
+ * @param {string} address The IPv4 or IPv6 address.
+ * @returns {boolean} True if the address is blocked.
+ */
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as the IPv4 address they wrap
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup used for deliveries: resolves the host and refuses it if any of its addresses is blocked.
+ * @param {string} hostname The host name.
+ * @param {object} options The lookup options passed by the HTTP agent.
+ * @param {Function} callback Called with (error, address, family), or (error, addresses) when options.all is set.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private or reserved address (${blocked.address}).`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Checks that a webhook URL is an HTTPS endpoint on a public address.
+ * @param {string} url The URL.
+ * @returns {Promise<string|null>} An error message, or null if the URL is allowed.
+ */
+async function validateWebhookUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return '❌ The webhook URL must be a valid `https://` URL.';
+    }
+    if (parsedUrl.protocol !== 'https:') {
+        return '❌ The webhook URL must be a valid `https://` URL.';
+    }
+
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    try {
+        const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            return '❌ Webhooks cannot point to a private, local or reserved address.';
+        }
+    } catch (error) {
+        return `❌ Could not resolve \`${hostname}\`.`;
+    }
+    return null;
+}
+
+/**
+ * POSTs a delivery body. Redirects are not followed (they are not treated as delivered).
+ * IP literals never reach the lookup hook, so they are checked here.
+ * @param {string} url The webhook URL.
+ * @param {object} headers The request headers.
+ * @param {string} body The JSON body.
+ * @returns {Promise<number>} The HTTP status code.
+ */
+function postDelivery(url, headers, body) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        return Promise.reject(new Error(`${hostname} is a private or reserved address.`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = https.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: lookupPublicAddress,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        }, response => {
+            response.resume(); // The response body is not used
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Makes one attempt at a delivery and records the outcome (success, a scheduled retry, or failure).
+ * @param {object} delivery The delivery record.
+ * @returns {Promise<object|null>} The updated delivery record.
+ */
+async function attemptDelivery(delivery) {
+    const config = await getGuildConfig(delivery.guildId);
+    const webhook = config.webhooks.find(w => w.name === delivery.webhookName);
+    if (!webhook || !webhook.enabled) {
+        return updateWebhookDelivery(delivery._id, {
+            status: 'failed',
+            lastError: 'The webhook was removed or disabled.',
+        });
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let statusCode = null;
+    let error = null;
+
+    try {
+        statusCode = await postDelivery(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Tickety-Webhooks/1.0',
+            'X-Tickety-Event': delivery.event,
+            'X-Tickety-Delivery': String(delivery._id),
+            'X-Tickety-Timestamp': timestamp,
+            'X-Tickety-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`,
+        }, delivery.body);
+        if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+        error = requestError.name === 'AbortError' ? 'Request timed out.' : requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    if (!error) {
+        return updateWebhookDelivery(delivery._id, { status: 'success', attempts, lastStatusCode: statusCode, lastError: null, deliveredAt: new Date() });
+    }
+    if (attempts > RETRY_DELAYS_MS.length) {
+        return updateWebhookDelivery(delivery._id, { status: 'failed', attempts, lastStatusCode: statusCode, lastError: error });
+    }
+    return updateWebhookDelivery(delivery._id, {
+        attempts,
+        lastStatusCode: statusCode,
+        lastError: error,
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]),
+    });
+}
+
+/**
+ * Records a delivery and makes its first attempt right away.
+ * @param {string} guildId The ID of the guild.
+ * @param {string} webhookName The name of the webhook.
+ * @param {string} event The event name.
+ * @param {object} payload The JSON payload.
+ * @returns {Promise<object|null>} The delivery record after the first attempt.
+ */
+async function deliver(guildId, webhookName, event, payload) {
+    const delivery = await createWebhookDelivery({
+        guildId: guildId,
+        webhookName: webhookName,
+        event: event,
+        body: JSON.stringify(payload),
+        nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS), // Reserved for the attempt below
+    });
+    if (!delivery) return null;
+    return attemptDelivery(delivery);
+}
+
+/**
+ * Sends a ticket event to every enabled webhook of the guild subscribed to it.
+ * @param {object} message The bus message ({ event, ticket, details, occurredAt }).
+ */
+async function dispatchTicketEvent({ event, ticket, details, occurredAt }) {
+    const config = await getGuildConfig(ticket.guildId);
+    const webhooks = config.webhooks.filter(w => w.enabled && w.events.includes(event));
+    if (webhooks.length === 0) return;
+
+    // The published record can predate the change, so send the stored state
+    const currentTicket = (await getTicketById(ticket._id)) || ticket;
+    const payload = {
+        id: crypto.randomUUID(), // Shared by all webhooks receiving this event
+        event: event,
+        guildId: ticket.guildId,
+        occurredAt: occurredAt,
+        ticket: serializeTicket(currentTicket),
+        data: details,
+    };
+
+    await Promise.all(webhooks.map(webhook => deliver(ticket.guildId, webhook.name, event, payload)));
+}
+
+/**
+ * Sends a "ping" delivery to a webhook, regardless of its subscribed events.
+ * @param {string} guildId The ID of the guild.
+ * @param {object} webhook The webhook configuration.
+ * @param {string} userId The ID of the user who requested the test.
+ * @returns {Promise<object|null>} The delivery record after the first attempt.
+ */
+async function sendTestDelivery(guildId, webhook, userId) {
+    return deliver(guildId, webhook.name, 'ping', {
+        id: crypto.randomUUID(),
+        event: 'ping',
+        guildId: guildId,
+        occurredAt: new Date(),
+        ticket: null,
+        data: { requestedBy: userId },
+    });
+}
+
+/**
+ * Retries the pending deliveries that are due.
+ */
+async function retryDueDeliveries() {
+    if (retrySweepRunning) return;
+    retrySweepRunning = true;
+
+    try {
+        for (let i = 0; i < MAX_DELIVERIES_PER_SWEEP; i++) {
+            const delivery = await claimDueWebhookDelivery(DELIVERY_LEASE_MS);
+            if (!delivery) break;
+            await attemptDelivery(delivery).catch(error => console.error(`Error delivering webhook ${delivery._id}:`, error));
+        }
+    } finally {
+        retrySweepRunning = false;
+    }
+}
+
+/**
+ * Subscribes the webhooks to the ticket event bus and starts the retry scheduler.
+ */
+function startWebhookDispatcher() {
+    onTicketEvent(dispatchTicketEvent);
+    retryDueDeliveries();
+    setInterval(retryDueDeliveries, RETRY_SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    generateWebhookSecret,
+    validateWebhookUrl,
+    sendTestDelivery,
+    startWebhookDispatcher,
+};
\ No newline at end of file